@@ -0,0 +1,375 @@
+import { createServer } from 'node:http';
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createApiHandler } from '../server/api.js';
+import { loadEnvFile } from '../server/env.js';
+import { PROVIDERS, isProviderConfigured } from '../server/providers.js';
+import {
+    BUILT_IN_FRAMEWORKS, BUILT_IN_SCENARIOS, DEFAULT_DIFFICULTY, DIFFICULTY_LEVELS, INDUSTRY_PROFILES, INITIAL_PATIENCE,
+    LOCAL_PROVIDERS, PERSONA_PROFILES, STEP_PASS_SCORE, applyDifficulty, averageStepScore, configureApiClient,
+    describeModelError, emptyEvidenceFor, generateOpeningMessages, gradeCall, normalizeFramework, playRepTurn,
+    scenarioFromProfiles
+} from '../src/roleplay.js';
+
+// Headless replay of scripted rep transcripts, for checking that step detection stays consistent when
+// prompts or models change. Every script in a folder is played turn by turn against a prospect, through
+// the same turn logic as the app, and the steps the prospect credited are compared with the script's labels.
+//
+// A script is a JSON file:
+//   {
+//     "name": "Textbook SOLVE call",        optional, defaults to the file name
+//     "framework": "solve",                 optional built-in framework id, or a whole custom framework
+//     "turns": [
+//       { "rep": "How are you handling intake today?", "expect": [] },
+//       { "rep": "So that's costing you $3,000 a month?", "expect": ["S"] }
+//     ]
+//   }
+// "expect" lists the steps the rep's message should complete on that turn. A step no turn expects should
+// never be detected. The run exits non-zero when a script fails or any step's recall or precision falls
+// below the --min-recall / --min-precision thresholds, so it can gate CI.
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_MIN_RECALL = 0.8;
+const DEFAULT_MIN_PRECISION = 0.8;
+
+const USAGE = `Usage: npm run replay -- <folder> [options]
+
+Replays every *.json script in <folder> and reports per-step detection against the expected labels.
+
+Options:
+  --provider <id>      ${[...Object.keys(LOCAL_PROVIDERS), ...Object.keys(PROVIDERS)].join(', ')} (default: mock)
+  --model <name>       model to use (default: the provider's first default model)
+  --persona <name>     persona style or prospect name, matched by prefix (default: ${Object.keys(PERSONA_PROFILES)[0]})
+  --industry <name>    industry, matched by prefix (default: the persona's built-in pairing)
+  --framework <id>     framework for scripts that don't name one: ${BUILT_IN_FRAMEWORKS.map(framework => framework.id).join(', ')} (default: solve)
+  --difficulty <level> ${Object.keys(DIFFICULTY_LEVELS).join(', ')} (default: ${DEFAULT_DIFFICULTY})
+  --grade              also grade each call and check the grader's step scores against the labels
+  --min-recall <n>     fail when any step's recall is below n, from 0 to 1 (default: ${DEFAULT_MIN_RECALL}; 0 turns it off)
+  --min-precision <n>  fail when any step's precision is below n, from 0 to 1 (default: ${DEFAULT_MIN_PRECISION}; 0 turns it off)
+  --format <format>    table or json (default: table)
+  --help               show this message`;
+
+// Case-insensitive prefix match, so "--persona analyst" or "--industry real" is enough.
+const matchByPrefix = (options, query, label, aliases = {}) => {
+    const wanted = query.toLowerCase();
+    const match = options.find(option => [option, aliases[option]].some(name => name?.toLowerCase().startsWith(wanted)));
+    if (!match) {
+        throw new Error(`Unknown ${label} "${query}". Choose one of:\n${options.map(option => `  ${option}`).join('\n')}`);
+    }
+    return match;
+};
+
+const resolveFrameworkOption = (value, source) => {
+    if (value && typeof value === 'object') {
+        const framework = normalizeFramework(value);
+        if (!framework) throw new Error(`${source}: the custom framework needs a name and at least one step with a key, label and criterion.`);
+        return framework;
+    }
+    const framework = BUILT_IN_FRAMEWORKS.find(item => item.id === value);
+    if (!framework) {
+        throw new Error(`${source}: unknown framework "${value}". Use one of ${BUILT_IN_FRAMEWORKS.map(item => item.id).join(', ')} or embed a custom framework.`);
+    }
+    return framework;
+};
+
+const loadScript = async (file, defaultFrameworkId) => {
+    const source = basename(file);
+    let data;
+    try {
+        data = JSON.parse(await readFile(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`${source}: could not read the script (${e.message}).`);
+    }
+    const framework = resolveFrameworkOption(data?.framework ?? defaultFrameworkId, source);
+    const stepKeys = framework.steps.map(step => step.key);
+    if (!Array.isArray(data.turns) || data.turns.length === 0) {
+        throw new Error(`${source}: "turns" must be a non-empty array of { rep, expect }.`);
+    }
+    const turns = data.turns.map((turn, index) => {
+        const expect = turn?.expect ?? [];
+        if (typeof turn?.rep !== 'string' || !turn.rep.trim()) {
+            throw new Error(`${source}: turn ${index + 1} needs a non-empty "rep" message.`);
+        }
+        if (!Array.isArray(expect) || expect.some(key => !stepKeys.includes(key))) {
+            throw new Error(`${source}: turn ${index + 1} "expect" must list ${framework.name} step keys (${stepKeys.join(', ')}).`);
+        }
+        return { rep: turn.rep.trim(), expect };
+    });
+    return { file: source, name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : source, framework, turns };
+};
+
+const loadScripts = async (folder, defaultFrameworkId) => {
+    let entries;
+    try {
+        entries = await readdir(folder);
+    } catch (e) {
+        throw new Error(`Could not read the script folder "${folder}" (${e.message}).`);
+    }
+    const files = entries.filter(entry => entry.endsWith('.json')).sort();
+    if (files.length === 0) throw new Error(`No .json scripts found in "${folder}".`);
+    return Promise.all(files.map(file => loadScript(join(folder, file), defaultFrameworkId)));
+};
+
+// exact: credited on the labelled turn; early/late: credited on another turn; missed: expected but never
+// credited; false_positive: credited without a label; true_negative: neither.
+const classifyStep = (expectedTurn, detectedTurn) => {
+    if (expectedTurn === null) return detectedTurn === null ? 'true_negative' : 'false_positive';
+    if (detectedTurn === null) return 'missed';
+    if (detectedTurn === expectedTurn) return 'exact';
+    return detectedTurn < expectedTurn ? 'early' : 'late';
+};
+
+const replayScript = async (llmConfig, script, { persona, industry, difficulty, grade }) => {
+    const { framework } = script;
+    const scenario = { ...applyDifficulty(scenarioFromProfiles(persona, industry), difficulty), framework };
+    let state = {
+        messages: generateOpeningMessages(scenario),
+        solveEvidence: emptyEvidenceFor(framework),
+        patience: INITIAL_PATIENCE
+    };
+    const turns = [];
+    let hungUpAtTurn = null;
+
+    for (const [index, scriptTurn] of script.turns.entries()) {
+        const repIndex = state.messages.length;
+        const turn = await playRepTurn(llmConfig, { scenario, ...state, repText: scriptTurn.rep });
+        turns.push({
+            turn: index + 1,
+            rep: scriptTurn.rep,
+            prospect: turn.replyText,
+            expected: scriptTurn.expect,
+            detected: framework.steps.filter(step => turn.solveEvidence[step.key]?.messageIndex === repIndex).map(step => step.key),
+            patience: turn.patience.value
+        });
+        state = { messages: turn.messages, solveEvidence: turn.solveEvidence, patience: turn.patience };
+        if (turn.hungUp) {
+            hungUpAtTurn = index + 1;
+            break;
+        }
+    }
+
+    const feedback = grade ? await gradeCall(llmConfig, state.messages, scenario) : null;
+    const steps = framework.steps.map(step => {
+        const expectedIndex = script.turns.findIndex(turn => turn.expect.includes(step.key));
+        const expectedTurn = expectedIndex === -1 ? null : expectedIndex + 1;
+        const detectedTurn = turns.find(turn => turn.detected.includes(step.key))?.turn ?? null;
+        const graderScore = feedback ? feedback.stepScores[step.key].score : null;
+        return {
+            key: step.key,
+            label: step.label,
+            expectedTurn,
+            detectedTurn,
+            outcome: classifyStep(expectedTurn, detectedTurn),
+            ...(feedback ? { graderScore, graderAgrees: (graderScore >= STEP_PASS_SCORE) === (expectedTurn !== null) } : {})
+        };
+    });
+
+    return {
+        file: script.file,
+        name: script.name,
+        framework: framework.name,
+        hungUpAtTurn,
+        ...(feedback ? { overallScore: Math.round(averageStepScore(feedback, framework) * 10) / 10 } : {}),
+        steps,
+        turns
+    };
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null);
+
+// Per-step totals across every script that used the same framework.
+const summarize = (scripts, results) => {
+    const byFramework = new Map();
+    scripts.forEach((script, index) => {
+        if (results[index].error) return;
+        const group = byFramework.get(script.framework.id) || { framework: script.framework, results: [] };
+        group.results.push(results[index]);
+        byFramework.set(script.framework.id, group);
+    });
+
+    return [...byFramework.values()].map(({ framework, results: frameworkResults }) => ({
+        framework: framework.name,
+        scripts: frameworkResults.length,
+        steps: framework.steps.map(step => {
+            const entries = frameworkResults.map(result => result.steps.find(entry => entry.key === step.key));
+            const count = (outcome) => entries.filter(entry => entry.outcome === outcome).length;
+            const expected = entries.filter(entry => entry.expectedTurn !== null).length;
+            const detected = count('exact') + count('early') + count('late');
+            const graded = entries.filter(entry => entry.graderAgrees !== undefined);
+            return {
+                key: step.key,
+                label: step.label,
+                expected,
+                exact: count('exact'),
+                early: count('early'),
+                late: count('late'),
+                missed: count('missed'),
+                falsePositives: count('false_positive'),
+                recall: ratio(detected, expected),
+                precision: ratio(detected, detected + count('false_positive')),
+                onTime: ratio(count('exact'), expected),
+                ...(graded.length > 0 ? { graderAgreement: ratio(graded.filter(entry => entry.graderAgrees).length, graded.length) } : {})
+            };
+        })
+    }));
+};
+
+// Steps whose recall or precision is under the run's thresholds. Steps with nothing expected (recall) or
+// nothing detected (precision) have no ratio and can't fail it.
+const findThresholdFailures = (summary, { minRecall, minPrecision }) => summary.flatMap(group => group.steps.flatMap(step => [
+    ['recall', step.recall, minRecall],
+    ['precision', step.precision, minPrecision]
+]
+    .filter(([, value, minimum]) => value !== null && value < minimum)
+    .map(([metric, value, minimum]) => ({ framework: group.framework, key: step.key, label: step.label, metric, value, minimum }))));
+
+const parseThreshold = (value, option) => {
+    const threshold = Number(value);
+    if (value.trim() === '' || !(threshold >= 0 && threshold <= 1)) throw new Error(`${option} must be a number from 0 to 1, e.g. 0.8.`);
+    return threshold;
+};
+
+const formatTable = (headers, rows) => {
+    const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => String(row[column]).length)));
+    const formatRow = (row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+    return [formatRow(headers), formatRow(widths.map(width => '-'.repeat(width))), ...rows.map(formatRow)].join('\n');
+};
+
+const percent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+const OUTCOME_NOTES = {
+    early: (step) => `credited on turn ${step.detectedTurn}, expected turn ${step.expectedTurn}`,
+    late: (step) => `credited on turn ${step.detectedTurn}, expected turn ${step.expectedTurn}`,
+    missed: (step) => `expected on turn ${step.expectedTurn}, never credited`,
+    false_positive: (step) => `credited on turn ${step.detectedTurn}, not expected`,
+};
+
+const formatReport = (report) => {
+    const { run, results, summary } = report;
+    const lines = [
+        `Replayed ${results.length} script${results.length === 1 ? '' : 's'} with ${run.provider}${run.model ? ` (${run.model})` : ''} against ${run.persona}, ${run.industry}, on ${run.difficulty}.`,
+        ''
+    ];
+
+    results.forEach(result => {
+        if (result.error) {
+            lines.push(`${result.file}: FAILED. ${result.error}`);
+            return;
+        }
+        const mismatches = result.steps.filter(step => OUTCOME_NOTES[step.outcome]);
+        const status = mismatches.length === 0 ? 'all steps match' : `${mismatches.length} mismatch${mismatches.length === 1 ? '' : 'es'}`;
+        const extras = [
+            result.hungUpAtTurn ? `hung up at turn ${result.hungUpAtTurn}` : null,
+            result.overallScore !== undefined ? `graded ${result.overallScore}/10` : null
+        ].filter(Boolean);
+        lines.push(`${result.file}: ${status}${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`);
+        mismatches.forEach(step => lines.push(`    ${step.key} ${step.label}: ${OUTCOME_NOTES[step.outcome](step)}`));
+    });
+
+    summary.forEach(group => {
+        const hasGrader = group.steps.some(step => step.graderAgreement !== undefined);
+        const headers = ['Step', 'Expected', 'Exact', 'Early', 'Late', 'Missed', 'False+', 'Recall', 'Precision', 'On time', ...(hasGrader ? ['Grader agrees'] : [])];
+        const rows = group.steps.map(step => [
+            `${step.key} ${step.label}`, step.expected, step.exact, step.early, step.late, step.missed, step.falsePositives,
+            percent(step.recall), percent(step.precision), percent(step.onTime), ...(hasGrader ? [percent(step.graderAgreement ?? null)] : [])
+        ]);
+        lines.push('', `${group.framework} (${group.scripts} script${group.scripts === 1 ? '' : 's'})`, formatTable(headers, rows));
+    });
+
+    const { minRecall, minPrecision, failures } = report.thresholds;
+    lines.push('', failures.length === 0
+        ? `All steps meet the thresholds (recall ${percent(minRecall)}, precision ${percent(minPrecision)}).`
+        : `Below threshold (recall ${percent(minRecall)}, precision ${percent(minPrecision)}):`);
+    failures.forEach(failure => lines.push(`    ${failure.framework} ${failure.key} ${failure.label}: ${failure.metric} ${percent(failure.value)}`));
+    return lines.join('\n');
+};
+
+// Non-local providers go through an in-process copy of the API server, so replays use the same .env keys,
+// vendor adapters and request validation as the app. The rate limit is lifted: this process is its only client.
+const startApiServer = (env) => new Promise((resolveServer, reject) => {
+    const handleApi = createApiHandler({ env: { ...env, RATE_LIMIT_MAX: String(Number.MAX_SAFE_INTEGER) }, log: () => {} });
+    const server = createServer((req, res) => handleApi(req, res));
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolveServer(server));
+});
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            provider: { type: 'string', default: 'mock' },
+            model: { type: 'string', default: '' },
+            persona: { type: 'string' },
+            industry: { type: 'string' },
+            framework: { type: 'string', default: 'solve' },
+            difficulty: { type: 'string', default: DEFAULT_DIFFICULTY },
+            grade: { type: 'boolean', default: false },
+            'min-recall': { type: 'string', default: String(DEFAULT_MIN_RECALL) },
+            'min-precision': { type: 'string', default: String(DEFAULT_MIN_PRECISION) },
+            format: { type: 'string', default: 'table' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (!['table', 'json'].includes(values.format)) throw new Error(`Unknown format "${values.format}". Use table or json.`);
+    if (!DIFFICULTY_LEVELS[values.difficulty]) throw new Error(`Unknown difficulty "${values.difficulty}". Use ${Object.keys(DIFFICULTY_LEVELS).join(', ')}.`);
+    const minRecall = parseThreshold(values['min-recall'], '--min-recall');
+    const minPrecision = parseThreshold(values['min-precision'], '--min-precision');
+
+    const personaNames = Object.fromEntries(Object.entries(PERSONA_PROFILES).map(([style, profile]) => [style, profile.name]));
+    const persona = values.persona ? matchByPrefix(Object.keys(PERSONA_PROFILES), values.persona, 'persona', personaNames) : Object.keys(PERSONA_PROFILES)[0];
+    const industry = values.industry
+        ? matchByPrefix(Object.keys(INDUSTRY_PROFILES), values.industry, 'industry')
+        : BUILT_IN_SCENARIOS.find(scenario => scenario.persona.style === persona).industry;
+    resolveFrameworkOption(values.framework, '--framework');
+    const scripts = await loadScripts(resolve(positionals[0]), values.framework);
+
+    const env = loadEnvFile(join(ROOT_DIR, '.env'));
+    const isLocal = !!LOCAL_PROVIDERS[values.provider];
+    if (!isLocal && !PROVIDERS[values.provider]) {
+        throw new Error(`Unknown provider "${values.provider}". Use one of ${[...Object.keys(LOCAL_PROVIDERS), ...Object.keys(PROVIDERS)].join(', ')}.`);
+    }
+    if (!isLocal && !isProviderConfigured(values.provider, env)) {
+        throw new Error(`${PROVIDERS[values.provider].label} is not configured. Set ${PROVIDERS[values.provider].envKey} in your .env file.`);
+    }
+
+    const server = isLocal ? null : await startApiServer(env);
+    if (server) configureApiClient({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+    const llmConfig = { provider: values.provider, model: values.model };
+
+    const results = [];
+    try {
+        for (const script of scripts) {
+            process.stderr.write(`Replaying ${script.file}...\n`);
+            try {
+                results.push(await replayScript(llmConfig, script, { persona, industry, difficulty: values.difficulty, grade: values.grade }));
+            } catch (error) {
+                const { title, detail } = describeModelError(error);
+                results.push({ file: script.file, name: script.name, framework: script.framework.name, error: detail ? `${title}: ${detail}` : title });
+            }
+        }
+    } finally {
+        server?.close();
+    }
+
+    const summary = summarize(scripts, results);
+    const report = {
+        run: { provider: values.provider, model: values.model || null, persona, industry, difficulty: values.difficulty, graded: values.grade },
+        results,
+        summary,
+        thresholds: { minRecall, minPrecision, failures: findThresholdFailures(summary, { minRecall, minPrecision }) }
+    };
+    console.log(values.format === 'json' ? JSON.stringify(report, null, 2) : formatReport(report));
+    if (results.some(result => result.error) || report.thresholds.failures.length > 0) process.exitCode = 1;
+};
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,325 @@
+import { resolve } from 'node:path';
+import { PROVIDERS, isProviderConfigured } from './providers.js';
+import { readEventStream } from '../src/sse.js';
+import { createLeaderboardStore } from './leaderboard.js';
+import { createRepIdentity } from './identity.js';
+
+// --- Local API server ---
+// Proxies the browser's model calls to the vendors so API keys stay on the server. Exposed as a
+// connect-style middleware so it can run inside the Vite dev server or the standalone server/index.js.
+//
+//   GET  /api/providers           which providers are configured on this server
+//   GET  /api/models?provider=id  models available for a provider
+//   POST /api/chat                one prospect turn ({ provider, model, systemInstruction, turns, responseSchema, stream, seed })
+//   POST /api/feedback            end-of-call grading ({ provider, model, systemInstruction, transcript, responseSchema, seed, repairTurns })
+//   GET  /api/leaderboard?challenge=id  ranked results for a shared challenge
+//   POST /api/leaderboard         submit a challenge result ({ challengeId, name, score, stepsCompleted, totalSteps, turnsToClose, repTurns })
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const sendJson = (res, status, data) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new ApiError(413, 'Request body is too large.'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch (e) {
+            reject(new ApiError(400, 'Request body must be valid JSON.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+// Fixed-window limiter keyed by caller. Expired windows are pruned lazily so the map can't grow without bound.
+export const createRateLimiter = ({ max, windowMs }) => {
+    const windows = new Map();
+    return (key) => {
+        const now = Date.now();
+        if (windows.size > 10000) {
+            windows.forEach((entry, entryKey) => { if (entry.resetAt <= now) windows.delete(entryKey); });
+        }
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(key, entry);
+        }
+        entry.count += 1;
+        return { allowed: entry.count <= max, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+    };
+};
+
+const resolveProvider = (providerId, env) => {
+    const provider = PROVIDERS[providerId];
+    if (!provider) {
+        throw new ApiError(400, `Unknown model provider "${providerId}".`);
+    }
+    if (!isProviderConfigured(providerId, env)) {
+        throw new ApiError(503, `${provider.label} is not configured on the server. Please set ${provider.envKey} in your .env file.`);
+    }
+    return provider;
+};
+
+const validateTurns = (turns) => {
+    const isValid = Array.isArray(turns) && turns.length > 0 && turns.every(turn =>
+        (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.text === 'string');
+    if (!isValid) {
+        throw new ApiError(400, 'turns must be a non-empty array of { role: "user" | "assistant", text }.');
+    }
+    return turns;
+};
+
+// Challenge links carry a seed so every rep gets the same sampling where the vendor supports it.
+const validateSeed = (seed) => (Number.isSafeInteger(seed) && seed >= 0 ? seed : null);
+
+const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+// Checks a submitted challenge result and returns the row to store for userId; bad input is a 400.
+export const validateLeaderboardEntry = (body, userId) => {
+    const challengeId = typeof body.challengeId === 'string' ? body.challengeId.trim() : '';
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!challengeId || challengeId.length > 64) {
+        throw new ApiError(400, 'challengeId must be a non-empty string of at most 64 characters.');
+    }
+    if (!name || name.length > 40) {
+        throw new ApiError(400, 'name must be between 1 and 40 characters.');
+    }
+    if (typeof body.score !== 'number' || !(body.score >= 0 && body.score <= 10)) {
+        throw new ApiError(400, 'score must be a number from 0 to 10.');
+    }
+    if (!isCount(body.totalSteps, 20) || !isCount(body.stepsCompleted, body.totalSteps) || !isCount(body.repTurns, 1000)) {
+        throw new ApiError(400, 'stepsCompleted, totalSteps and repTurns must be whole numbers, with stepsCompleted at most totalSteps.');
+    }
+    if (body.turnsToClose !== null && !isCount(body.turnsToClose, body.repTurns)) {
+        throw new ApiError(400, 'turnsToClose must be null or a whole number no greater than repTurns.');
+    }
+    return {
+        challengeId,
+        userId,
+        name,
+        score: Math.round(body.score * 10) / 10,
+        stepsCompleted: body.stepsCompleted,
+        totalSteps: body.totalSteps,
+        turnsToClose: body.turnsToClose,
+        repTurns: body.repTurns,
+        submittedAt: new Date().toISOString()
+    };
+};
+
+// Other reps' ids never leave the server; the caller only learns which row is theirs.
+const toPublicEntries = (entries, userId) => entries.map(({ userId: entryUserId, ...entry }) => ({
+    ...entry,
+    isYou: entryUserId === userId
+}));
+
+const callUpstream = (provider, env, { model, turns, systemInstruction, responseSchema, stream, seed }, signal) => {
+    const request = provider.buildRequest({
+        env,
+        model: model || provider.defaultModels[0],
+        turns,
+        systemInstruction: typeof systemInstruction === 'string' ? systemInstruction : '',
+        responseSchema: responseSchema || null,
+        stream,
+        seed
+    });
+    return fetch(request.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...request.headers
+        },
+        body: JSON.stringify(request.body),
+        signal
+    });
+};
+
+// Relays an upstream failure with its status (and Retry-After) so the browser's backoff logic still applies.
+const relayUpstreamError = async (res, provider, upstream) => {
+    const retryAfter = upstream.headers.get('Retry-After');
+    if (retryAfter) res.setHeader('Retry-After', retryAfter);
+    sendJson(res, upstream.status, { error: `${provider.label} error (${upstream.status}): ${await upstream.text()}` });
+};
+
+// Runs one completion, either as a single JSON reply ({ text }) or as normalized SSE ({ text } deltas).
+const completeTurn = async (req, res, provider, env, options) => {
+    const controller = new AbortController();
+    // Stop paying for tokens nobody will read when the browser cancels or disconnects.
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const upstream = await callUpstream(provider, env, options, controller.signal);
+    if (!upstream.ok) {
+        await relayUpstreamError(res, provider, upstream);
+        return;
+    }
+
+    if (!options.stream) {
+        sendJson(res, 200, { text: provider.extractText(await upstream.json()) });
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    try {
+        await readEventStream(upstream, event => {
+            const text = provider.extractStreamText(event);
+            if (text) res.write(`data: ${JSON.stringify({ text })}\n\n`);
+        });
+        res.write('data: [DONE]\n\n');
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+        }
+    }
+    res.end();
+};
+
+const routes = {
+    'GET /api/providers': async ({ res, env }) => {
+        sendJson(res, 200, {
+            providers: Object.entries(PROVIDERS).map(([id, provider]) => ({
+                id,
+                label: provider.label,
+                envKey: provider.envKey,
+                requiresKey: provider.requiresKey,
+                configured: isProviderConfigured(id, env),
+                defaultModels: provider.defaultModels
+            }))
+        });
+    },
+
+    'GET /api/models': async ({ res, env, url }) => {
+        const provider = resolveProvider(url.searchParams.get('provider'), env);
+        const { url: modelsUrl, headers } = provider.modelsRequest(env);
+        const upstream = await fetch(modelsUrl, { method: 'GET', headers });
+        if (!upstream.ok) {
+            await relayUpstreamError(res, provider, upstream);
+            return;
+        }
+        sendJson(res, 200, { models: provider.extractModels(await upstream.json()) });
+    },
+
+    'POST /api/chat': async ({ req, res, env, body, logContext }) => {
+        const provider = resolveProvider(body.provider, env);
+        logContext.provider = body.provider;
+        await completeTurn(req, res, provider, env, {
+            model: body.model,
+            turns: validateTurns(body.turns),
+            systemInstruction: body.systemInstruction,
+            responseSchema: body.responseSchema,
+            stream: !!body.stream,
+            seed: validateSeed(body.seed)
+        });
+    },
+
+    'POST /api/feedback': async ({ req, res, env, body, logContext }) => {
+        const provider = resolveProvider(body.provider, env);
+        logContext.provider = body.provider;
+        if (typeof body.transcript !== 'string' || !body.transcript.trim()) {
+            throw new ApiError(400, 'transcript must be a non-empty string.');
+        }
+        const gradeTurn = { role: 'user', text: `Grade this sales call transcript:\n\n${body.transcript}` };
+        await completeTurn(req, res, provider, env, {
+            model: body.model,
+            // repairTurns carries a rejected grading reply and the browser's request to fix it.
+            turns: body.repairTurns ? [gradeTurn, ...validateTurns(body.repairTurns)] : [gradeTurn],
+            systemInstruction: body.systemInstruction,
+            responseSchema: body.responseSchema,
+            stream: false,
+            seed: validateSeed(body.seed)
+        });
+    },
+
+    'GET /api/leaderboard': async ({ res, url, userId, leaderboard }) => {
+        const challengeId = url.searchParams.get('challenge');
+        if (!challengeId) {
+            throw new ApiError(400, 'challenge is required.');
+        }
+        sendJson(res, 200, { entries: toPublicEntries(await leaderboard.listEntries(challengeId), userId) });
+    },
+
+    'POST /api/leaderboard': async ({ res, body, userId, leaderboard, logContext }) => {
+        const entry = validateLeaderboardEntry(body, userId);
+        logContext.challenge = entry.challengeId.slice(0, 8);
+        sendJson(res, 200, { entries: toPublicEntries(await leaderboard.submitEntry(entry), userId) });
+    },
+};
+
+/**
+ * Creates the /api middleware. Requests outside /api are passed to next() (or 404 when standalone).
+ */
+export const createApiHandler = ({ env = process.env, log = console.log } = {}) => {
+    const limiter = createRateLimiter({
+        max: Number(env.RATE_LIMIT_MAX) || 30,
+        windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60000
+    });
+    const leaderboard = createLeaderboardStore({ file: resolve(env.LEADERBOARD_FILE || 'data/leaderboard.json') });
+    const identify = createRepIdentity({ secret: env.REP_ID_SECRET });
+
+    return async (req, res, next) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (!url.pathname.startsWith('/api/')) {
+            if (next) return next();
+            return sendJson(res, 404, { error: 'Not found.' });
+        }
+
+        const startedAt = Date.now();
+        // Issued and signed by this server, so leaderboard rows can't be claimed by sending someone else's id.
+        const { repId: userId, isNew } = identify(req, res);
+        const logContext = {};
+        res.on('close', () => {
+            const details = Object.entries(logContext).map(([key, value]) => ` ${key}=${value}`).join('');
+            log(`[api] ${new Date().toISOString()} ${req.method} ${url.pathname} user=${userId.slice(0, 8)} status=${res.statusCode}${details} ${Date.now() - startedAt}ms`);
+        });
+
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) {
+            return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}.` });
+        }
+
+        // Reps with a verified cookie get their own window, so a shared office address doesn't throttle a
+        // whole team. Clearing the cookie mints a fresh id, so callers without one share their address's window.
+        const limit = limiter(isNew ? `addr:${req.socket.remoteAddress || 'unknown'}` : `rep:${userId}`);
+        if (!limit.allowed) {
+            res.setHeader('Retry-After', String(limit.retryAfter));
+            return sendJson(res, 429, { error: 'Too many requests. Please wait a moment and try again.' });
+        }
+
+        try {
+            const body = req.method === 'POST' ? await readJsonBody(req) : {};
+            await route({ req, res, env, url, body, userId, leaderboard, logContext });
+        } catch (error) {
+            if (!(error instanceof ApiError)) console.error('[api] Unhandled error:', error);
+            if (res.headersSent) {
+                res.end();
+            } else {
+                sendJson(res, error instanceof ApiError ? error.status : 502, { error: error.message });
+            }
+        }
+    };
+};
@@ -0,0 +1,20 @@
+import { readFileSync } from 'node:fs';
+
+// Minimal .env reader for the standalone server (Vite loads .env itself in dev). Values already set in
+// the real environment win, matching the usual dotenv behaviour.
+export const loadEnvFile = (path, env = process.env) => {
+    let contents;
+    try {
+        contents = readFileSync(path, 'utf8');
+    } catch (e) {
+        return env;
+    }
+    contents.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+        if (!match) return;
+        const [, key, rawValue] = match;
+        const value = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+        if (env[key] === undefined) env[key] = value;
+    });
+    return env;
+};
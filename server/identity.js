@@ -0,0 +1,38 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+
+// Server-issued practice identities. The first API request gets a random rep id in an HttpOnly cookie,
+// signed with an HMAC so a client can't pick or forge someone else's id. Leaderboard rows are keyed by it.
+
+const COOKIE_NAME = 'solve_rep';
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+const readCookie = (req, name) => {
+    const pair = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return pair ? pair.slice(name.length + 1) : '';
+};
+
+/**
+ * Returns identify(req, res), which resolves the caller's signed rep id and issues a new one when the
+ * cookie is missing or fails verification. Resolves to { repId, isNew }, where isNew marks an id minted for
+ * this request. Without a secret, ids only survive until the server restarts.
+ */
+export const createRepIdentity = ({ secret } = {}) => {
+    const key = secret || randomBytes(32);
+    const sign = (repId) => createHmac('sha256', key).update(repId).digest('base64url');
+
+    const verify = (value) => {
+        const [repId, signature] = value.split('.');
+        if (!repId || !signature) return null;
+        const expected = Buffer.from(sign(repId));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && timingSafeEqual(given, expected) ? repId : null;
+    };
+
+    return (req, res) => {
+        const existing = verify(readCookie(req, COOKIE_NAME));
+        if (existing) return { repId: existing, isNew: false };
+        const repId = randomUUID();
+        res.setHeader('Set-Cookie', `${COOKIE_NAME}=${repId}.${sign(repId)}; Path=/api; Max-Age=${COOKIE_MAX_AGE_SECONDS}; HttpOnly; SameSite=Lax`);
+        return { repId, isNew: true };
+    };
+};
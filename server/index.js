@@ -0,0 +1,65 @@
+import { createServer } from 'node:http';
+import { createReadStream, statSync } from 'node:fs';
+import { extname, join, normalize, relative, resolve, dirname, isAbsolute } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApiHandler } from './api.js';
+import { loadEnvFile } from './env.js';
+
+// Standalone server for production: serves the built app from dist/ and the /api proxy on one port.
+// Run `npm run build` first, then `npm start`.
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DIST_DIR = join(ROOT_DIR, 'dist');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const env = loadEnvFile(join(ROOT_DIR, '.env'));
+const handleApi = createApiHandler({ env });
+
+const isFile = (path) => {
+    try {
+        return statSync(path).isFile();
+    } catch (e) {
+        return false;
+    }
+};
+
+// True when path is inside dist/ itself, not a sibling such as dist2/ that merely shares the prefix.
+const isInsideDist = (path) => {
+    const fromDist = relative(DIST_DIR, path);
+    return fromDist !== '' && !fromDist.startsWith('..') && !isAbsolute(fromDist);
+};
+
+const serveStatic = (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (e) {
+        res.statusCode = 400;
+        res.end('Malformed URL.');
+        return;
+    }
+    const requested = normalize(join(DIST_DIR, decoded));
+    // Unknown paths fall back to index.html; anything outside dist/ is never served.
+    const filePath = isInsideDist(requested) && isFile(requested) ? requested : join(DIST_DIR, 'index.html');
+    if (!isFile(filePath)) {
+        res.statusCode = 404;
+        res.end('Build not found. Run `npm run build` first.');
+        return;
+    }
+    res.setHeader('Content-Type', CONTENT_TYPES[extname(filePath)] || 'application/octet-stream');
+    createReadStream(filePath).pipe(res);
+};
+
+const port = Number(env.PORT) || 8787;
+createServer((req, res) => handleApi(req, res, () => serveStatic(req, res)))
+    .listen(port, () => console.log(`SOLVE Sales Agent running at http://localhost:${port}`));
@@ -0,0 +1,64 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// File-backed leaderboard for shared challenges, so team results work without a hosted database.
+// The whole board is one small JSON file ({ version, entries }); writes go through a temp file and a
+// rename so a crash mid-write can't truncate it.
+
+const LEADERBOARD_FILE_VERSION = 1;
+
+// Higher score first, then the fewest turns to close (never closing sorts last), then the most steps.
+const compareEntries = (a, b) =>
+    b.score - a.score
+    || (a.turnsToClose ?? Infinity) - (b.turnsToClose ?? Infinity)
+    || b.stepsCompleted - a.stepsCompleted
+    || (a.submittedAt < b.submittedAt ? -1 : 1);
+
+export const createLeaderboardStore = ({ file }) => {
+    // Serializes read-modify-write cycles so concurrent submissions can't overwrite each other.
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const readEntries = async () => {
+        try {
+            const data = JSON.parse(await readFile(file, 'utf8'));
+            return Array.isArray(data?.entries) ? data.entries : [];
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+    };
+
+    const writeEntries = async (entries) => {
+        await mkdir(dirname(file), { recursive: true });
+        const tempFile = `${file}.tmp`;
+        await writeFile(tempFile, JSON.stringify({ version: LEADERBOARD_FILE_VERSION, entries }, null, 2));
+        await rename(tempFile, file);
+    };
+
+    const listEntries = async (challengeId) =>
+        (await readEntries()).filter(entry => entry.challengeId === challengeId).sort(compareEntries);
+
+    return {
+        listEntries: (challengeId) => enqueue(() => listEntries(challengeId)),
+
+        // Keeps each rep's best attempt per challenge. Resolves to the sorted board for that challenge.
+        submitEntry: (entry) => enqueue(async () => {
+            const entries = await readEntries();
+            const previous = entries.find(item => item.challengeId === entry.challengeId && item.userId === entry.userId);
+            if (previous && compareEntries(previous, entry) <= 0) {
+                // A worse retry still updates the display name.
+                previous.name = entry.name;
+            } else {
+                const others = entries.filter(item => item !== previous);
+                entries.splice(0, entries.length, ...others, entry);
+            }
+            await writeEntries(entries);
+            return entries.filter(item => item.challengeId === entry.challengeId).sort(compareEntries);
+        }),
+    };
+};
@@ -0,0 +1,131 @@
+// Vendor adapters for the API server. Each turns the same chat turns + system instruction into a vendor
+// request and pulls the reply text (or, when streaming, each text delta) back out. API keys are read from
+// the server environment and never reach the browser.
+
+// Shared adapter for OpenAI's Chat Completions API and local servers that mimic it (Ollama, LM Studio).
+const createOpenAICompatibleProvider = ({ label, envKey, baseUrlKey, defaultBaseUrl, requiresKey, defaultModels }) => {
+    const baseUrl = (env) => env[baseUrlKey] || defaultBaseUrl;
+    const authHeaders = (apiKey) => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {});
+
+    return {
+        label,
+        envKey,
+        requiresKey,
+        defaultModels,
+        buildRequest: ({ env, model, turns, systemInstruction, responseSchema, stream, seed }) => ({
+            url: `${baseUrl(env)}/chat/completions`,
+            headers: authHeaders(env[envKey]),
+            body: {
+                model,
+                messages: [
+                    { role: 'system', content: systemInstruction },
+                    ...turns.map(turn => ({ role: turn.role, content: turn.text }))
+                ],
+                max_tokens: 1024,
+                temperature: 0.7,
+                ...(seed !== null && seed !== undefined ? { seed } : {}),
+                // Chat Completions-compatible servers vary in schema support; JSON mode plus the prompt contract is portable.
+                ...(responseSchema ? { response_format: { type: 'json_object' } } : {}),
+                ...(stream ? { stream: true } : {})
+            }
+        }),
+        extractText: (result) => result.choices?.[0]?.message?.content ?? '',
+        extractStreamText: (event) => event.choices?.[0]?.delta?.content ?? '',
+        modelsRequest: (env) => ({
+            url: `${baseUrl(env)}/models`,
+            headers: authHeaders(env[envKey])
+        }),
+        extractModels: (result) => (result.data || []).map(m => m.id)
+    };
+};
+
+const anthropicHeaders = (apiKey) => ({
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01'
+});
+
+export const PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        envKey: 'GEMINI_API_KEY',
+        requiresKey: true,
+        defaultModels: ['gemini-1.5-flash', 'gemini-1.5-pro'],
+        buildRequest: ({ env, model, turns, systemInstruction, responseSchema, stream, seed }) => ({
+            url: stream
+                ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse`
+                : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+            // Sent as a header rather than a query parameter so the key stays out of URLs and logs.
+            headers: { 'x-goog-api-key': env.GEMINI_API_KEY },
+            body: {
+                contents: turns.map(turn => ({
+                    role: turn.role === 'user' ? 'user' : 'model',
+                    parts: [{ text: turn.text }]
+                })),
+                systemInstruction: { parts: [{ text: systemInstruction }] },
+                generationConfig: {
+                    maxOutputTokens: 1024,
+                    temperature: 0.7,
+                    ...(seed !== null && seed !== undefined ? { seed } : {}),
+                    ...(responseSchema ? { responseMimeType: 'application/json', responseSchema } : {})
+                }
+            }
+        }),
+        extractText: (result) => (result.candidates?.[0]?.content?.parts || []).map(part => part.text).join(''),
+        // Each streamed chunk is a partial GenerateContentResponse.
+        extractStreamText: (event) => (event.candidates?.[0]?.content?.parts || []).map(part => part.text).join(''),
+        modelsRequest: (env) => ({
+            url: 'https://generativelanguage.googleapis.com/v1beta/models',
+            headers: { 'x-goog-api-key': env.GEMINI_API_KEY }
+        }),
+        extractModels: (result) => (result.models || [])
+            .filter(m => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, ''))
+    },
+    anthropic: {
+        label: 'Anthropic Claude',
+        envKey: 'ANTHROPIC_API_KEY',
+        requiresKey: true,
+        defaultModels: ['claude-3-opus-20240229', 'claude-3-5-sonnet-20240620', 'claude-3-haiku-20240307'],
+        // The Messages API has no sampling seed, so challenge runs on Claude are only as repeatable as the prompt.
+        buildRequest: ({ env, model, turns, systemInstruction, stream }) => ({
+            url: 'https://api.anthropic.com/v1/messages',
+            headers: anthropicHeaders(env.ANTHROPIC_API_KEY),
+            body: {
+                model,
+                system: systemInstruction,
+                messages: turns.map(turn => ({ role: turn.role, content: turn.text })),
+                max_tokens: 1024,
+                temperature: 0.7,
+                ...(stream ? { stream: true } : {})
+            }
+        }),
+        extractText: (result) => (result.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        extractStreamText: (event) => (event.type === 'content_block_delta' ? event.delta?.text ?? '' : ''),
+        modelsRequest: (env) => ({
+            url: 'https://api.anthropic.com/v1/models',
+            headers: anthropicHeaders(env.ANTHROPIC_API_KEY)
+        }),
+        extractModels: (result) => (result.data || []).map(m => m.id)
+    },
+    openai: createOpenAICompatibleProvider({
+        label: 'OpenAI',
+        envKey: 'OPENAI_API_KEY',
+        baseUrlKey: 'OPENAI_BASE_URL',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        requiresKey: true,
+        defaultModels: ['gpt-4o-mini', 'gpt-4o']
+    }),
+    local: createOpenAICompatibleProvider({
+        label: 'Local (Ollama / LM Studio)',
+        envKey: 'LOCAL_LLM_API_KEY',
+        baseUrlKey: 'LOCAL_LLM_BASE_URL',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        requiresKey: false,
+        defaultModels: ['llama3.1']
+    })
+};
+
+export const isProviderConfigured = (providerId, env) => {
+    const provider = PROVIDERS[providerId];
+    return !!provider && (!provider.requiresKey || !!env[provider.envKey]);
+};
@@ -1,229 +1,351 @@
 import React, { useState, useEffect, useRef } from 'react';
+import {
+    COACH_ROLE_NAME, SOLVE_FRAMEWORK, BUILT_IN_FRAMEWORKS, frameworkFor, MAX_FRAMEWORK_STEPS,
+    normalizeFramework, DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY, MAX_PATIENCE, difficultyFor, CALL_TIMERS,
+    DEFAULT_CALL_TIMER, callTimerFor, computeCallMetrics, LOCAL_PROVIDERS,
+    apiUrl, apiHeaders, readApiError, fetchProviders, pickDefaultProvider, listModels,
+    describeModelError, requestCoachHint, PERSONA_PROFILES, INDUSTRY_PROFILES, MAX_STAKEHOLDERS, COMMITTEE_SEATS,
+    isCommitteeCall, stakeholdersFor, scenarioFromProfiles, BUILT_IN_SCENARIOS, normalizeScenario, applyDifficulty,
+    buildScenarioExport, parseScenarioImport, generateOpeningMessages, detectCoachNudges, INITIAL_PATIENCE,
+    mergeSolveEvidence, evidenceToStatus, rewindBranchState,
+    emptyEvidenceFor, emptyStakeholderEvidenceFor, repTurnsUntil, playRepTurn, STEP_PASS_SCORE, gradeCall, averageStepScore
+} from './roleplay.js';
+import { buildChallengeResult, createChallengeLink, parseChallengeLink } from './challenge.js';
+import {
+    buildTranscriptExport, parsePastedTranscript, parseTranscriptExport, transcriptToHtmlReport, transcriptToMarkdown,
+    turnsToMessages
+} from './transcript.js';
 
 // Environment variables and configuration
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-const hasApiKey = !!apiKey;
-
-// --- Constants ---
-const COACH_ROLE_NAME = "Sales Coach";
-
-// --- SOLVE Core Structure (Used in config screen and progress panel) ---
-const SOLVE_STEPS_DATA = [
-    { key: 'S', label: 'Spot the Pain', long: 'Identify and confirm a specific, quantifiable pain point. (e.g., "So, that waste of time costs you about $3,000 a month, correct?")' },
-    { key: 'O', label: 'Outline Outcome', long: 'Clearly state the guaranteed, quantifiable positive result. (e.g., "We guarantee you\'ll save 15 hours a week, freeing you up for $5k in new client revenue.")' },
-    { key: 'L', label: 'Limit Risk', long: 'Present a strong, risk-free guarantee or condition (e.g., money-back, pay-on-performance, or clear SLA).' },
-    { key: 'V', label: 'Value Pack', long: 'Create urgency or add extra value. (e.g., "The first 10 clients this month get the advanced setup training free, but spots close Friday.")' },
-    { key: 'E', label: 'Execute CTA', long: 'Ask for a clear, definitive next step. (e.g., "Does it make sense to book a 15-minute onboarding call right now?")' },
-];
+
+// --- Custom Frameworks ---
+// Custom frameworks are authored in the Framework Library and kept in localStorage, like custom scenarios.
+const FRAMEWORK_STORAGE_KEY = 'solve-sales-agent.frameworks';
+
+const createEmptyFramework = () => ({
+    id: `custom:${crypto.randomUUID()}`,
+    name: '',
+    summary: '',
+    painStep: '',
+    closeStep: '',
+    steps: [{ key: '', label: '', long: '', criterion: '', keywords: [] }],
+});
+
+const loadCustomFrameworks = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FRAMEWORK_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.map(normalizeFramework).filter(Boolean) : [];
+    } catch (e) {
+        console.error('Failed to load saved frameworks:', e);
+        return [];
+    }
+};
+
+const saveCustomFrameworks = (frameworks) => {
+    try {
+        localStorage.setItem(FRAMEWORK_STORAGE_KEY, JSON.stringify(frameworks));
+    } catch (e) {
+        console.error('Failed to save frameworks:', e);
+    }
+};
 
 // --- Simplified Initial Prompt (Used in the first chat message) ---
-const COACH_GUIDE_TEXT = `
-## Welcome to the SOLVE Confidence Challenge!
+const buildCoachGuideText = (framework) => `
+## Welcome to the ${framework.name} Confidence Challenge!
 
-**Your goal:** Guide the prospect through the 5-step SOLVE framework using conversational, objection-handling language. Your progress is tracked in the panel on the right. To review the framework steps, click the "What is SOLVE?" button on the Start Roleplay screen.
+**Your goal:** Guide the prospect through the ${framework.steps.length}-step ${framework.name} framework using conversational, objection-handling language: ${framework.steps.map(step => `${step.key} · ${step.label}`).join(' → ')}. Your progress is tracked in the panel on the right. To review the framework steps, click the "What is ${framework.name}?" button on the Start Roleplay screen.
 `;
 
 // --- Firebase Dummy Setup (Mandatory Standard) ---
 let auth = null;
 let db = null;
-const dummyUserId = crypto.randomUUID(); 
-
-// --- JSON Response Schema Definition ---
-const RESPONSE_SCHEMA = {
-    type: "OBJECT",
-    properties: {
-        response_text: {
-            type: "STRING",
-            description: "The prospect's chat message, including any objections or questions."
-        },
-        solve_status: {
-            type: "OBJECT",
-            description: "A boolean map showing which steps of the SOLVE framework the user has successfully completed in the conversation so far.",
-            properties: {
-                "S": { type: "BOOLEAN", description: "Spot the Pain Point: True if the user has confirmed a specific, quantifiable pain point." },
-                "O": { type: "BOOLEAN", description: "Outline a Specific Outcome: True if the user has clearly stated the quantifiable, positive result." },
-                "L": { type: "BOOLEAN", description: "Limit Risk with Guarantees: True if the user has presented a strong, risk-free guarantee." },
-                "V": { type: "BOOLEAN", description: "Value Pack with Urgency: True if the user has added extra value or created a time-sensitive incentive." },
-                "E": { type: "BOOLEAN", description: "Execute with a Clear Call to Action: True if the user has explicitly requested the next step." }
-            },
-            propertyOrdering: ["S", "O", "L", "V", "E"]
-        }
-    },
-    propertyOrdering: ["response_text", "solve_status"]
-};
 
-const callClaude = async (history, systemInstruction, isFinalCall = false) => {
-    const apiKey = import.meta.env.VITE_CLAUDE_API_KEY;
-    if (!apiKey) {
-        throw new Error('Claude API key is not configured. Please set VITE_CLAUDE_API_KEY in your .env file.');
+// Kept stable across reloads so saved sessions (local or remote) stay attached to the same practice user.
+const loadOrCreateUserId = () => {
+    try {
+        const stored = localStorage.getItem('solve-sales-agent.userId');
+        if (stored) return stored;
+        const created = crypto.randomUUID();
+        localStorage.setItem('solve-sales-agent.userId', created);
+        return created;
+    } catch (e) {
+        return crypto.randomUUID();
     }
+};
+const dummyUserId = loadOrCreateUserId();
 
-    const model = 'claude-3-opus-20240229';
-    const maxRetries = 3;
-    const baseDelay = 1000;
-    let lastError = null;
+// --- Session Storage ---
+// Every adapter exposes the same async interface: listSessions, getSession, saveSession, deleteSession.
+// Sessions always persist locally (IndexedDB, or localStorage where IndexedDB is unavailable); a remote
+// adapter, when configured, mirrors them on a best-effort basis and also lists the whole team's sessions.
+const SESSION_DB_NAME = 'solve-sales-agent';
+const SESSION_STORE_NAME = 'sessions';
+const SESSION_LOCAL_STORAGE_KEY = 'solve-sales-agent.sessions';
 
-    try {
-        const apiUrl = 'https://api.anthropic.com/v1/messages';
-        
-        // Convert history to Claude's message format
-        const messages = history.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.parts[0].text
-        }));
+const createIndexedDbAdapter = () => {
+    let databasePromise = null;
+    const openDatabase = () => new Promise((resolve, reject) => {
+        const request = indexedDB.open(SESSION_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE_NAME, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const withStore = async (mode, operation) => {
+        databasePromise = databasePromise || openDatabase();
+        const database = await databasePromise;
+        return new Promise((resolve, reject) => {
+            const request = operation(database.transaction(SESSION_STORE_NAME, mode).objectStore(SESSION_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
 
-        if (systemInstruction) {
-            messages.unshift({
-                role: 'system',
-                content: systemInstruction
-            });
+    return {
+        listSessions: () => withStore('readonly', store => store.getAll()),
+        getSession: async (id) => (await withStore('readonly', store => store.get(id))) || null,
+        saveSession: async (session) => { await withStore('readwrite', store => store.put(session)); },
+        deleteSession: async (id) => { await withStore('readwrite', store => store.delete(id)); },
+    };
+};
+
+const createLocalStorageAdapter = () => {
+    const readAll = () => {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_LOCAL_STORAGE_KEY) || '{}');
+        } catch (e) {
+            console.error('Failed to read saved sessions:', e);
+            return {};
         }
+    };
+    const writeAll = (sessions) => localStorage.setItem(SESSION_LOCAL_STORAGE_KEY, JSON.stringify(sessions));
 
-        const payload = {
-            model,
-            messages,
-            max_tokens: 1024,
-            temperature: 0.7,
-            system: "You are a sales coach helping with the SOLVE framework. Your responses should be in JSON format matching the specified schema."
-        };
+    return {
+        listSessions: async () => Object.values(readAll()),
+        getSession: async (id) => readAll()[id] || null,
+        saveSession: async (session) => { writeAll({ ...readAll(), [session.id]: session }); },
+        deleteSession: async (id) => {
+            const { [id]: removed, ...rest } = readAll();
+            writeAll(rest);
+        },
+    };
+};
 
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-            try {
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'x-api-key': apiKey,
-                        'anthropic-version': '2023-06-01'
-                    },
-                    body: JSON.stringify(payload)
-                });
+// Uses IndexedDB and permanently switches to localStorage the first time IndexedDB fails (e.g. private browsing).
+const createDefaultLocalAdapter = () => {
+    const fallback = createLocalStorageAdapter();
+    if (typeof indexedDB === 'undefined') return fallback;
 
-                // Handle rate limiting
-                if (response.status === 429) {
-                    const retryAfter = response.headers.get('Retry-After');
-                    const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : baseDelay * Math.pow(2, attempt);
-                    console.warn(`Rate limit reached (attempt ${attempt + 1}/${maxRetries}), waiting ${waitTime/1000} seconds...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
-                    continue;
-                }
-
-                // Handle successful response
-                if (response.ok) {
-                    const responseText = await response.text();
-                    const result = JSON.parse(responseText);
-
-                    if (isFinalCall) {
-                        return { 
-                            text: result.text, 
-                            status: { S: true, O: true, L: true, V: true, E: true } 
-                        };
-                    }
-
-                    const parsed = JSON.parse(result.text.replace(/```json\n?|```/g, '').trim());
-                    return {
-                        text: parsed.response_text,
-                        status: {
-                            S: !!parsed.solve_status?.S,
-                            O: !!parsed.solve_status?.O,
-                            L: !!parsed.solve_status?.L,
-                            V: !!parsed.solve_status?.V,
-                            E: !!parsed.solve_status?.E,
-                        }
-                    };
-                }
-
-                // Handle other errors
-                const errorBody = await response.text();
-                lastError = new Error(`API Error (${response.status}): ${errorBody}`);
-                
-                if (response.status === 503 || attempt === maxRetries - 1) {
-                    break;
-                }
-
-                const waitTime = baseDelay * Math.pow(2, attempt);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-            } catch (error) {
-                lastError = error;
-                if (attempt === maxRetries - 1) break;
-
-                const waitTime = baseDelay * Math.pow(2, attempt);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
+    const indexedDb = createIndexedDbAdapter();
+    let useFallback = false;
+    const guarded = (method) => async (...args) => {
+        if (!useFallback) {
+            try {
+                return await indexedDb[method](...args);
+            } catch (e) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+                useFallback = true;
             }
         }
+        return fallback[method](...args);
+    };
 
-        throw lastError || new Error("Failed to get a response from the model.");
-    } catch (error) {
-        throw error;
-    }
+    return {
+        listSessions: guarded('listSessions'),
+        getSession: guarded('getSession'),
+        saveSession: guarded('saveSession'),
+        deleteSession: guarded('deleteSession'),
+    };
 };
 
-// Helper to generate initial message based on persona and industry
-const generateInitialMessage = (persona, industry) => {
-    const personas = {
-        'Skeptical, Budget-Conscious': {
-            name: 'Alex Thompson',
-            opening: "Look, I appreciate you reaching out, but I've been burned by 'miracle solutions' before. Our budget is tight, and I need to see real numbers before even considering any changes.",
-        },
-        'Friendly, Time-Pressed': {
-            name: 'Sam Rivera',
-            opening: "Thanks for connecting! I'm honestly swamped right now, but I'm curious about what you're offering. Just need to make sure it's worth the time investment.",
+// Remote adapter over the Firestore REST API, filled in from the injected Firebase config. Sessions live
+// under the standard artifacts/{appId}/users/{userId} path, stored as a JSON string to keep the mapping trivial.
+const createFirestoreAdapter = ({ projectId, apiKey }, appId, userId) => {
+    const appUrl = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/artifacts/${appId}`;
+    const collectionUrl = `${appUrl}/users/${userId}/sessions`;
+    const request = async (path, options = {}) => {
+        const res = await fetch(`${collectionUrl}${path}${path.includes('?') ? '&' : '?'}key=${apiKey}`, options);
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error(`Firestore Error (${res.status}): ${await res.text()}`);
+        return options.method === 'DELETE' ? null : res.json();
+    };
+    const fromDocument = (document) => JSON.parse(document.fields.data.stringValue);
+
+    return {
+        listSessions: async () => ((await request(''))?.documents || []).map(fromDocument),
+        getSession: async (id) => {
+            const document = await request(`/${id}`);
+            return document ? fromDocument(document) : null;
         },
-        'Overwhelmed, Needs Hand-Holding': {
-            name: 'Jordan Chen',
-            opening: "There's just so much to consider, and I'm not sure where to start. We definitely need help, but I'm worried about making the wrong choice.",
+        saveSession: async (session) => {
+            await request(`/${session.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fields: { data: { stringValue: JSON.stringify(session) } } })
+            });
         },
-        'Analyst, Data-Focused': {
-            name: 'Dr. Morgan Lee',
-            opening: "I've reviewed several solutions in this space. What specific metrics can you show me that demonstrate your solution's effectiveness compared to the alternatives?",
+        deleteSession: async (id) => { await request(`/${id}`, { method: 'DELETE' }); },
+        // Every rep's sessions under this app, via a collection-group query over users/*/sessions.
+        listTeamSessions: async () => {
+            const res = await fetch(`${appUrl}:runQuery?key=${apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ structuredQuery: { from: [{ collectionId: 'sessions', allDescendants: true }] } })
+            });
+            if (!res.ok) throw new Error(`Firestore Error (${res.status}): ${await res.text()}`);
+            return (await res.json()).filter(result => result.document).map(result => fromDocument(result.document));
         },
-        'Innovator, Excited but Distracted': {
-            name: 'Taylor Kim',
-            opening: "Your solution looks fascinating! We're actually in the middle of several other initiatives though. Help me understand why this should be a priority now.",
+    };
+};
+
+if (firebaseConfig.projectId && firebaseConfig.apiKey) {
+    db = createFirestoreAdapter(firebaseConfig, appId, dummyUserId);
+}
+
+const createSessionStore = (local, remote = null) => {
+    const syncRemote = (operation) => {
+        if (!remote) return;
+        operation(remote).catch(e => console.error('Remote session sync failed:', e));
+    };
+
+    // Merges remote sessions in (newest copy wins) so history follows the user across browsers. merged is
+    // false when there is no remote store or it could not be reached.
+    const listMerged = async (listRemote) => {
+        const sessions = new Map((await local.listSessions()).map(session => [session.id, session]));
+        let merged = false;
+        if (remote) {
+            try {
+                (await listRemote(remote)).forEach(session => {
+                    const existing = sessions.get(session.id);
+                    if (!existing || existing.updatedAt < session.updatedAt) sessions.set(session.id, session);
+                });
+                merged = true;
+            } catch (e) {
+                console.error('Failed to list remote sessions:', e);
+            }
         }
+        return { sessions: [...sessions.values()].sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1)), merged };
     };
 
-    const personaInfo = personas[persona];
-    return `${personaInfo.name} (The Prospect):\n\n${personaInfo.opening}`;
+    return {
+        listSessions: async () => (await listMerged(adapter => adapter.listSessions())).sessions,
+        // Every rep's sessions when the remote store is reachable; otherwise only this browser's, with
+        // isTeamWide false so analytics can say so.
+        listTeamSessions: async () => {
+            const { sessions, merged } = await listMerged(adapter => adapter.listTeamSessions());
+            return { sessions, isTeamWide: merged };
+        },
+        getSession: async (id) => (await local.getSession(id)) || (remote ? remote.getSession(id) : null),
+        saveSession: async (session) => {
+            await local.saveSession(session);
+            syncRemote(adapter => adapter.saveSession(session));
+        },
+        deleteSession: async (id) => {
+            await local.deleteSession(id);
+            syncRemote(adapter => adapter.deleteSession(id));
+        },
+    };
 };
 
-// Helper to list available models
-const listModels = async () => {
-    if (!hasApiKey) return null;
+const sessionStore = createSessionStore(createDefaultLocalAdapter(), db);
+
+// --- Scenarios ---
+// Built-in scenarios, normalizeScenario and the import/export format live in roleplay.js; custom ones are
+// authored in the Scenario Library and kept in localStorage.
+const SCENARIO_STORAGE_KEY = 'solve-sales-agent.scenarios';
+
+const createEmptyScenario = () => ({
+    id: `custom:${crypto.randomUUID()}`,
+    title: 'Untitled Scenario',
+    industry: '',
+    persona: { name: '', role: '', style: '', temperament: '', budget: '', opening: '' },
+    company: { name: '', facts: [] },
+    painPoints: [],
+    product: { name: '', description: '', price: '' },
+    objections: [],
+});
+
+const loadCustomScenarios = () => {
     try {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`;
-        const res = await fetch(url, { method: 'GET' });
-        if (!res.ok) {
-            const text = await res.text();
-            console.error('ListModels API error:', res.status, text);
-            return null;
-        }
-        const json = await res.json();
-        return json.models || json;
+        const stored = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.map(normalizeScenario).filter(Boolean) : [];
+    } catch (e) {
+        console.error('Failed to load saved scenarios:', e);
+        return [];
+    }
+};
+
+const saveCustomScenarios = (scenarios) => {
+    try {
+        localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
     } catch (e) {
-        console.error('Failed to list models:', e);
-        return null;
+        console.error('Failed to save scenarios:', e);
     }
 };
 
-// --- Modal Component for SOLVE Guide ---
-const SolveGuideModal = ({ isOpen, onClose }) => {
+const downloadFile = (filename, content, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const downloadJson = (filename, data) => downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+
+const exportScenarios = (scenarios, filename = 'solve-scenarios.json') => {
+    downloadJson(filename, buildScenarioExport(scenarios));
+};
+
+// Resolves the prospect config to its framework, falling back to SOLVE when a custom one was deleted.
+const resolveFramework = (prospectConfig, frameworkLibrary) =>
+    frameworkLibrary.find(framework => framework.id === prospectConfig.frameworkId) || SOLVE_FRAMEWORK;
+
+// Resolves the prospect config to the scenario it points at: a library entry, or a persona/industry mix
+// with any committee seats the rep filled.
+const resolveScenario = (prospectConfig, scenarioLibrary) =>
+    (prospectConfig.scenarioId && scenarioLibrary.find(scenario => scenario.id === prospectConfig.scenarioId))
+    || scenarioFromProfiles(prospectConfig.persona, prospectConfig.industry, prospectConfig.committeeSeats || []);
+
+// --- Shared Challenges ---
+// Links and results are built in challenge.js; the app adds the leaderboard around them.
+const DISPLAY_NAME_STORAGE_KEY = 'solve-sales-agent.displayName';
+
+const fetchLeaderboard = async (challengeId) => {
+    const res = await fetch(apiUrl(`/api/leaderboard?challenge=${encodeURIComponent(challengeId)}`), { headers: apiHeaders() });
+    if (!res.ok) throw new Error(await readApiError(res));
+    return (await res.json()).entries;
+};
+
+const submitLeaderboardResult = async (result) => {
+    const res = await fetch(apiUrl('/api/leaderboard'), {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify(result)
+    });
+    if (!res.ok) throw new Error(await readApiError(res));
+    return (await res.json()).entries;
+};
+
+// --- Modal Component for the Framework Guide ---
+const FrameworkGuideModal = ({ isOpen, onClose, framework }) => {
     if (!isOpen) return null;
 
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4">
             <div className="bg-surface rounded-xl shadow-canva-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100 p-6 md:p-8 font-sans">
                 <div className="flex justify-between items-center border-b border-divider pb-3 mb-4">
-                    <h3 className="text-2xl font-bold text-primary">The 5-Step SOLVE Framework Guide</h3>
+                    <h3 className="text-2xl font-bold text-primary">The {framework.steps.length}-Step {framework.name} Framework Guide</h3>
                     <button onClick={onClose} className="text-text-secondary hover:text-text-primary transition">
                         <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
                     </button>
                 </div>
                 <div className="space-y-6">
-                    <p className="text-text-secondary">The SOLVE framework is a structured approach to leading sales conversations, ensuring you handle objections and move toward a concrete next step.</p>
-                    {SOLVE_STEPS_DATA.map(step => (
+                    {framework.summary && <p className="text-text-secondary">{framework.summary}</p>}
+                    {framework.steps.map(step => (
                         <div key={step.key} className="p-4 bg-primary/5 rounded-canva border-l-4 border-primary shadow-canva">
                             <div className="flex items-center space-x-2 mb-1">
                                 <div className="w-6 h-6 flex-shrink-0 flex items-center justify-center rounded-full bg-primary text-white font-bold text-sm">
@@ -245,21 +367,642 @@ const SolveGuideModal = ({ isOpen, onClose }) => {
     );
 };
 
+// --- Scenario Library Modal (authoring, import/export) ---
+// The editor works on a flat draft where list fields are newline-separated text.
+const scenarioToDraft = (scenario) => ({
+    ...scenario,
+    company: { ...scenario.company, facts: scenario.company.facts.join('\n') },
+    painPoints: scenario.painPoints.join('\n'),
+    objections: scenario.objections.join('\n'),
+});
+
+const draftToScenario = (draft) => normalizeScenario({
+    ...draft,
+    company: { ...draft.company, facts: draft.company.facts.split('\n') },
+    painPoints: draft.painPoints.split('\n'),
+    objections: draft.objections.split('\n'),
+});
+
+const ScenarioField = ({ label, value, onChange, multiline = false, placeholder = '', list }) => (
+    <div>
+        <label className="block text-xs font-medium text-text-secondary mb-1">{label}</label>
+        {multiline ? (
+            <textarea
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder}
+                rows={3}
+                className="w-full p-2 text-sm border border-divider rounded-canva focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none"
+            />
+        ) : (
+            <input
+                type="text"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder}
+                list={list}
+                className="w-full p-2 text-sm border border-divider rounded-canva focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none"
+            />
+        )}
+    </div>
+);
+
+const ScenarioLibraryModal = ({ isOpen, onClose, scenarios, onSave, onDelete, onImport, onSelect }) => {
+    const [draft, setDraft] = useState(null);
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    if (!isOpen) return null;
+
+    const customScenarios = scenarios.filter(scenario => !scenario.builtIn);
+
+    // Updates a dotted path such as "persona.name" on the draft.
+    const updateDraft = (path, value) => {
+        const [section, field] = path.split('.');
+        setDraft(current => field
+            ? { ...current, [section]: { ...current[section], [field]: value } }
+            : { ...current, [section]: value });
+    };
+
+    const handleSave = () => {
+        const scenario = draftToScenario(draft);
+        if (!scenario) {
+            setMessage({ type: 'error', text: 'A scenario needs at least a prospect name and an opening line.' });
+            return;
+        }
+        onSave(scenario);
+        setDraft(null);
+        setMessage({ type: 'success', text: `Saved "${scenario.title}".` });
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseScenarioImport(await file.text());
+            onImport(imported);
+            setMessage({ type: 'success', text: `Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}.` });
+        } catch (error) {
+            console.error('Scenario import failed:', error);
+            setMessage({ type: 'error', text: `Import failed: ${error.message}` });
+        }
+    };
+
+    const duplicate = (scenario) => {
+        setDraft(scenarioToDraft({ ...scenario, builtIn: undefined, id: `custom:${crypto.randomUUID()}`, title: `${scenario.title} (copy)` }));
+        setMessage(null);
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4">
+            <div className="bg-surface rounded-xl shadow-canva-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto p-6 md:p-8 font-sans">
+                <div className="flex justify-between items-center border-b border-divider pb-3 mb-4">
+                    <h3 className="text-2xl font-bold text-primary">Scenario Library</h3>
+                    <button onClick={onClose} className="text-text-secondary hover:text-text-primary transition">
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                    </button>
+                </div>
+
+                {message && (
+                    <div className={`mb-4 p-3 rounded-canva text-sm ${message.type === 'error' ? 'bg-danger/10 border border-danger text-danger' : 'bg-primary/5 border border-primary text-primary'}`}>
+                        {message.text}
+                    </div>
+                )}
+
+                {draft ? (
+                    <div className="space-y-4">
+                        <ScenarioField label="Scenario Title" value={draft.title} onChange={(v) => updateDraft('title', v)} />
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <ScenarioField label="Prospect Name *" value={draft.persona.name} onChange={(v) => updateDraft('persona.name', v)} />
+                            <ScenarioField label="Prospect Role" value={draft.persona.role} onChange={(v) => updateDraft('persona.role', v)} placeholder="e.g. Head of Operations" />
+                            <ScenarioField label="Personality" value={draft.persona.style} onChange={(v) => updateDraft('persona.style', v)} list="scenario-persona-styles" placeholder="Pick a built-in persona or describe your own" />
+                            <ScenarioField label="Budget" value={draft.persona.budget} onChange={(v) => updateDraft('persona.budget', v)} placeholder="e.g. $2,000/month, needs CFO sign-off above that" />
+                        </div>
+                        <datalist id="scenario-persona-styles">
+                            {Object.keys(PERSONA_PROFILES).map(style => <option key={style} value={style} />)}
+                        </datalist>
+                        <ScenarioField label="Temperament (how they talk and react)" value={draft.persona.temperament} onChange={(v) => updateDraft('persona.temperament', v)} multiline />
+                        <ScenarioField label="Opening Line *" value={draft.persona.opening} onChange={(v) => updateDraft('persona.opening', v)} multiline />
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <ScenarioField label="Company Name" value={draft.company.name} onChange={(v) => updateDraft('company.name', v)} />
+                            <ScenarioField label="Industry" value={draft.industry} onChange={(v) => updateDraft('industry', v)} />
+                        </div>
+                        <ScenarioField label="Company Facts (one per line)" value={draft.company.facts} onChange={(v) => updateDraft('company.facts', v)} multiline />
+                        <ScenarioField label="Pain Points (one per line)" value={draft.painPoints} onChange={(v) => updateDraft('painPoints', v)} multiline />
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <ScenarioField label="Product Name" value={draft.product.name} onChange={(v) => updateDraft('product.name', v)} />
+                            <ScenarioField label="Price" value={draft.product.price} onChange={(v) => updateDraft('product.price', v)} placeholder="e.g. $499/month" />
+                            <ScenarioField label="Product Description" value={draft.product.description} onChange={(v) => updateDraft('product.description', v)} />
+                        </div>
+                        <ScenarioField label="Objections the Prospect Must Raise (one per line)" value={draft.objections} onChange={(v) => updateDraft('objections', v)} multiline />
+                        <div className="flex space-x-2 pt-4 border-t border-divider">
+                            <button onClick={() => setDraft(null)} className="flex-1 py-2 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200">
+                                Cancel
+                            </button>
+                            <button onClick={handleSave} className="flex-1 py-2 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200">
+                                Save Scenario
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="flex flex-wrap gap-2">
+                            <button onClick={() => { setDraft(scenarioToDraft(createEmptyScenario())); setMessage(null); }} className="px-4 py-2 bg-primary hover:bg-primary-hover text-white text-sm font-medium rounded-canva shadow-canva-md transition-colors duration-200">
+                                New Scenario
+                            </button>
+                            <button onClick={() => fileInputRef.current?.click()} className="px-4 py-2 bg-surface-hover text-text-primary text-sm font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200">
+                                Import JSON
+                            </button>
+                            <button
+                                onClick={() => exportScenarios(customScenarios)}
+                                disabled={customScenarios.length === 0}
+                                className="px-4 py-2 bg-surface-hover text-text-primary text-sm font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Export My Scenarios
+                            </button>
+                            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                        </div>
+                        {scenarios.map(scenario => (
+                            <div key={scenario.id} className="p-4 bg-surface-hover rounded-canva border-l-4 border-primary/40 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                                <div>
+                                    <p className="font-semibold text-text-primary">
+                                        {scenario.title}
+                                        {scenario.builtIn && <span className="ml-2 text-xs font-normal text-text-secondary">(built-in)</span>}
+                                    </p>
+                                    <p className="text-xs text-text-secondary">
+                                        {[scenario.persona.name, scenario.company.name, scenario.product.name && `selling ${scenario.product.name}`].filter(Boolean).join(' · ')}
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap gap-2 text-xs">
+                                    <button onClick={() => { onSelect(scenario.id); onClose(); }} className="px-3 py-1 bg-primary text-white rounded-canva">Use</button>
+                                    {!scenario.builtIn && (
+                                        <button onClick={() => { setDraft(scenarioToDraft(scenario)); setMessage(null); }} className="px-3 py-1 bg-surface border border-divider rounded-canva">Edit</button>
+                                    )}
+                                    <button onClick={() => duplicate(scenario)} className="px-3 py-1 bg-surface border border-divider rounded-canva">Duplicate</button>
+                                    <button onClick={() => exportScenarios([scenario], `${scenario.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`)} className="px-3 py-1 bg-surface border border-divider rounded-canva">Export</button>
+                                    {!scenario.builtIn && (
+                                        <button onClick={() => onDelete(scenario.id)} className="px-3 py-1 bg-surface border border-danger text-danger rounded-canva">Delete</button>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Framework Library Modal (custom sales frameworks) ---
+const frameworkToDraft = (framework) => ({
+    ...framework,
+    steps: framework.steps.map(step => ({ ...step, keywords: step.keywords.join(', ') })),
+});
+
+const draftToFramework = (draft) => normalizeFramework({
+    ...draft,
+    steps: draft.steps.map(step => ({ ...step, keywords: step.keywords.split(',') })),
+});
+
+const FrameworkLibraryModal = ({ isOpen, onClose, frameworks, onSave, onDelete, onSelect }) => {
+    const [draft, setDraft] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    if (!isOpen) return null;
+
+    const updateStep = (index, field, value) => {
+        setDraft(current => ({
+            ...current,
+            steps: current.steps.map((step, stepIndex) => (stepIndex === index ? { ...step, [field]: value } : step)),
+        }));
+    };
+
+    const addStep = () => {
+        setDraft(current => ({ ...current, steps: [...current.steps, { key: '', label: '', long: '', criterion: '', keywords: '' }] }));
+    };
+
+    const removeStep = (index) => {
+        setDraft(current => ({ ...current, steps: current.steps.filter((_, stepIndex) => stepIndex !== index) }));
+    };
+
+    const handleSave = () => {
+        const framework = draftToFramework(draft);
+        if (!framework) {
+            setMessage({ type: 'error', text: 'A framework needs a name and at least one step with a key, a label and a success criterion.' });
+            return;
+        }
+        onSave(framework);
+        setDraft(null);
+        setMessage({ type: 'success', text: `Saved "${framework.name}" with ${framework.steps.length} step${framework.steps.length === 1 ? '' : 's'}.` });
+    };
+
+    const duplicate = (framework) => {
+        setDraft(frameworkToDraft({ ...framework, builtIn: undefined, id: `custom:${crypto.randomUUID()}`, name: `${framework.name} (copy)` }));
+        setMessage(null);
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4">
+            <div className="bg-surface rounded-xl shadow-canva-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto p-6 md:p-8 font-sans">
+                <div className="flex justify-between items-center border-b border-divider pb-3 mb-4">
+                    <h3 className="text-2xl font-bold text-primary">Framework Library</h3>
+                    <button onClick={onClose} className="text-text-secondary hover:text-text-primary transition">
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                    </button>
+                </div>
+
+                {message && (
+                    <div className={`mb-4 p-3 rounded-canva text-sm ${message.type === 'error' ? 'bg-danger/10 border border-danger text-danger' : 'bg-primary/5 border border-primary text-primary'}`}>
+                        {message.text}
+                    </div>
+                )}
+
+                {draft ? (
+                    <div className="space-y-4">
+                        <ScenarioField label="Framework Name *" value={draft.name} onChange={(v) => setDraft(current => ({ ...current, name: v }))} placeholder="e.g. Challenger" />
+                        <ScenarioField label="Summary (shown in the guide)" value={draft.summary} onChange={(v) => setDraft(current => ({ ...current, summary: v }))} multiline />
+                        {draft.steps.map((step, index) => (
+                            <div key={index} className="p-4 bg-surface-hover rounded-canva border-l-4 border-primary/40 space-y-3">
+                                <div className="flex justify-between items-center">
+                                    <p className="text-sm font-semibold text-text-primary">Step {index + 1}</p>
+                                    <div className="flex items-center gap-3 text-xs">
+                                        <label className="flex items-center space-x-1 text-text-secondary cursor-pointer">
+                                            <input
+                                                type="radio"
+                                                name="framework-pain-step"
+                                                checked={!!step.key && draft.painStep === step.key}
+                                                onChange={() => setDraft(current => ({ ...current, painStep: step.key }))}
+                                                className="accent-primary"
+                                            />
+                                            <span>Pain / discovery step</span>
+                                        </label>
+                                        <label className="flex items-center space-x-1 text-text-secondary cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!step.key && draft.closeStep === step.key}
+                                                onChange={(e) => setDraft(current => ({ ...current, closeStep: e.target.checked ? step.key : '' }))}
+                                                className="accent-primary"
+                                            />
+                                            <span>Close / ask step</span>
+                                        </label>
+                                        {draft.steps.length > 1 && (
+                                            <button onClick={() => removeStep(index)} className="px-2 py-1 bg-surface border border-danger text-danger rounded-canva">Remove</button>
+                                        )}
+                                    </div>
+                                </div>
+                                <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                                    <ScenarioField label="Key * (1-3 letters)" value={step.key} onChange={(v) => updateStep(index, 'key', v.toUpperCase().slice(0, 3))} placeholder="e.g. T" />
+                                    <div className="md:col-span-3">
+                                        <ScenarioField label="Label *" value={step.label} onChange={(v) => updateStep(index, 'label', v)} placeholder="e.g. Teach for Differentiation" />
+                                    </div>
+                                </div>
+                                <ScenarioField label="Success Criterion * (what the grader checks)" value={step.criterion} onChange={(v) => updateStep(index, 'criterion', v)} placeholder="e.g. The rep has shared an insight that reframes how the prospect sees the problem." />
+                                <ScenarioField label="Guide Text (shown to the rep)" value={step.long} onChange={(v) => updateStep(index, 'long', v)} multiline />
+                                <ScenarioField label="Offline Keywords (comma separated)" value={step.keywords} onChange={(v) => updateStep(index, 'keywords', v)} placeholder="Used by the offline mock prospect to detect this step" />
+                            </div>
+                        ))}
+                        {draft.steps.length < MAX_FRAMEWORK_STEPS && (
+                            <button onClick={addStep} className="px-4 py-2 bg-surface-hover text-text-primary text-sm font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200">
+                                Add Step
+                            </button>
+                        )}
+                        <div className="flex space-x-2 pt-4 border-t border-divider">
+                            <button onClick={() => setDraft(null)} className="flex-1 py-2 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200">
+                                Cancel
+                            </button>
+                            <button onClick={handleSave} className="flex-1 py-2 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200">
+                                Save Framework
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="flex flex-wrap gap-2">
+                            <button onClick={() => { setDraft(frameworkToDraft(createEmptyFramework())); setMessage(null); }} className="px-4 py-2 bg-primary hover:bg-primary-hover text-white text-sm font-medium rounded-canva shadow-canva-md transition-colors duration-200">
+                                New Framework
+                            </button>
+                        </div>
+                        {frameworks.map(framework => (
+                            <div key={framework.id} className="p-4 bg-surface-hover rounded-canva border-l-4 border-primary/40 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                                <div>
+                                    <p className="font-semibold text-text-primary">
+                                        {framework.name}
+                                        {framework.builtIn && <span className="ml-2 text-xs font-normal text-text-secondary">(built-in)</span>}
+                                    </p>
+                                    <p className="text-xs text-text-secondary">
+                                        {framework.steps.map(step => `${step.key} · ${step.label}`).join('  →  ')}
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap gap-2 text-xs">
+                                    <button onClick={() => { onSelect(framework.id); onClose(); }} className="px-3 py-1 bg-primary text-white rounded-canva">Use</button>
+                                    {!framework.builtIn && (
+                                        <button onClick={() => { setDraft(frameworkToDraft(framework)); setMessage(null); }} className="px-3 py-1 bg-surface border border-divider rounded-canva">Edit</button>
+                                    )}
+                                    <button onClick={() => duplicate(framework)} className="px-3 py-1 bg-surface border border-divider rounded-canva">Duplicate</button>
+                                    {!framework.builtIn && (
+                                        <button onClick={() => onDelete(framework.id)} className="px-3 py-1 bg-surface border border-danger text-danger rounded-canva">Delete</button>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Practice History Modal ---
+const SessionHistoryModal = ({ isOpen, onClose, onOpenSession }) => {
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setSessions(null);
+        setError(null);
+        sessionStore.listSessions()
+            .then(setSessions)
+            .catch(e => {
+                console.error('Failed to load practice history:', e);
+                setError('Could not load your practice history.');
+                setSessions([]);
+            });
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const handleDelete = async (id) => {
+        await sessionStore.deleteSession(id);
+        setSessions(current => current.filter(session => session.id !== id));
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4">
+            <div className="bg-surface rounded-xl shadow-canva-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 md:p-8 font-sans">
+                <div className="flex justify-between items-center border-b border-divider pb-3 mb-4">
+                    <h3 className="text-2xl font-bold text-primary">Practice History</h3>
+                    <button onClick={onClose} className="text-text-secondary hover:text-text-primary transition">
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                    </button>
+                </div>
+                {error && (
+                    <div className="mb-4 bg-danger/10 border border-danger text-danger rounded-canva p-3 text-sm">{error}</div>
+                )}
+                {sessions === null ? (
+                    <p className="text-text-secondary">Loading sessions...</p>
+                ) : sessions.length === 0 ? (
+                    <p className="text-text-secondary">No practice sessions yet. Your calls are saved automatically once you start one.</p>
+                ) : (
+                    <div className="space-y-3">
+                        {sessions.map(session => {
+                            const isSessionFinished = session.status === 'finished';
+                            const sessionFramework = frameworkFor(session.scenario);
+                            const stepsCompleted = Object.values(evidenceToStatus(session.solveEvidence || {}, sessionFramework)).filter(Boolean).length;
+                            const repTurns = session.messages.filter(msg => msg.role === 'user').length;
+                            return (
+                                <div key={session.id} className="p-4 bg-surface-hover rounded-canva flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                                    <div>
+                                        <p className="font-semibold text-text-primary">
+                                            {session.scenario?.title || 'Practice Session'}
+                                            <span className={`ml-2 text-xs font-medium ${isSessionFinished ? 'text-text-secondary' : 'text-primary'}`}>
+                                                {isSessionFinished ? 'FINISHED' : 'IN PROGRESS'}
+                                            </span>
+                                        </p>
+                                        <p className="text-xs text-text-secondary">
+                                            {new Date(session.updatedAt).toLocaleString()} · {repTurns} turn{repTurns === 1 ? '' : 's'} · {stepsCompleted}/{sessionFramework.steps.length} {sessionFramework.name} steps
+                                        </p>
+                                    </div>
+                                    <div className="flex gap-2 text-xs">
+                                        <button
+                                            onClick={() => { onOpenSession(session); onClose(); }}
+                                            className="px-3 py-1 bg-primary text-white rounded-canva"
+                                        >
+                                            {isSessionFinished ? 'Open (read-only)' : 'Resume'}
+                                        </button>
+                                        <button onClick={() => handleDelete(session.id)} className="px-3 py-1 bg-surface border border-danger text-danger rounded-canva">
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Transcript Export Buttons ---
+const ExportButtons = ({ onExport, disabled }) => (
+    <div className="grid grid-cols-3 gap-2">
+        {[['markdown', 'Markdown'], ['json', 'JSON'], ['report', 'PDF Report']].map(([format, label]) => (
+            <button
+                key={format}
+                onClick={() => onExport(format)}
+                disabled={disabled}
+                className="py-1.5 text-xs bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva hover:bg-surface-pressed transition-colors duration-200 disabled:opacity-50"
+            >
+                {label}
+            </button>
+        ))}
+    </div>
+);
+
+// --- Grade a Transcript Modal (exported JSON or pasted real call) ---
+const GradeTranscriptModal = ({ isOpen, onClose, onGrade }) => {
+    const [pastedText, setPastedText] = useState('');
+    const [repSpeaker, setRepSpeaker] = useState('');
+    const [isGrading, setIsGrading] = useState(false);
+    const [error, setError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    if (!isOpen) return null;
+
+    const turns = parsePastedTranscript(pastedText);
+    const speakers = [...new Set(turns.map(turn => turn.speaker))];
+    const selectedRep = speakers.includes(repSpeaker) ? repSpeaker : speakers[0] || '';
+
+    const grade = async (transcript) => {
+        setIsGrading(true);
+        setError(null);
+        try {
+            await onGrade(transcript);
+            setPastedText('');
+            onClose();
+        } catch (e) {
+            console.error('Transcript grading failed:', e);
+            setError(e.message);
+        } finally {
+            setIsGrading(false);
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await grade(parseTranscriptExport(await file.text()));
+        } catch (err) {
+            setError(`Could not read that file: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4">
+            <div className="bg-surface rounded-xl shadow-canva-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 md:p-8 font-sans space-y-4">
+                <div className="flex justify-between items-center border-b border-divider pb-3">
+                    <h3 className="text-2xl font-bold text-primary">Grade a Transcript</h3>
+                    <button onClick={onClose} className="text-text-secondary hover:text-text-primary transition">
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                    </button>
+                </div>
+                <p className="text-sm text-text-secondary">
+                    Load a call exported from this app, or paste a real call transcript with one "Speaker: text" line per turn. It will be graded with the model and framework selected on the start screen.
+                </p>
+                {error && <div className="bg-danger/10 border border-danger text-danger rounded-canva p-3 text-sm">{error}</div>}
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={isGrading}
+                    className="w-full py-2 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200 disabled:opacity-50"
+                >
+                    Load Exported JSON
+                </button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+                <textarea
+                    value={pastedText}
+                    onChange={(e) => setPastedText(e.target.value)}
+                    placeholder={"Rep: Thanks for taking the call...\nDana: Sure, I have ten minutes."}
+                    rows={10}
+                    className="w-full p-3 text-sm border border-divider rounded-canva focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none"
+                />
+                {speakers.length > 0 && (
+                    <div>
+                        <label className="block text-sm font-medium text-text-secondary mb-1">Which speaker is the rep? ({turns.length} turns detected)</label>
+                        <select
+                            value={selectedRep}
+                            onChange={(e) => setRepSpeaker(e.target.value)}
+                            className="w-full p-2 border border-divider rounded-canva focus:border-primary focus:outline-none"
+                        >
+                            {speakers.map(speaker => <option key={speaker} value={speaker}>{speaker}</option>)}
+                        </select>
+                    </div>
+                )}
+                <button
+                    onClick={() => grade({ messages: turnsToMessages(turns, selectedRep), scenario: null, prospectConfig: null })}
+                    disabled={isGrading || !turns.some(turn => turn.speaker === selectedRep)}
+                    className="w-full py-2.5 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isGrading ? 'Grading...' : 'Grade Pasted Transcript'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Adds up to two more stakeholders from the other personas to a custom mix. Each persona sits in one seat only.
+const CommitteeSeatPicker = ({ prospectConfig, setProspectConfig }) => {
+    const committeeSeats = prospectConfig.committeeSeats || [];
+    const isFull = committeeSeats.length >= MAX_STAKEHOLDERS - 1;
+    const takenPersonas = [prospectConfig.persona, ...committeeSeats.map(member => member.persona)];
+    const setSeats = (seats) => setProspectConfig({ ...prospectConfig, committeeSeats: seats });
+
+    const toggleSeat = (seat) => {
+        if (committeeSeats.some(member => member.seat === seat)) {
+            setSeats(committeeSeats.filter(member => member.seat !== seat));
+            return;
+        }
+        const persona = Object.keys(PERSONA_PROFILES).find(option => !takenPersonas.includes(option));
+        if (persona) setSeats([...committeeSeats, { seat, persona }]);
+    };
+
+    return (
+        <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1">Buying Committee</label>
+            <div className="space-y-2">
+                {Object.entries(COMMITTEE_SEATS).map(([seat, { role }]) => {
+                    const member = committeeSeats.find(item => item.seat === seat);
+                    return (
+                        <div key={seat} className="flex items-center gap-2">
+                            <label className={`flex items-center gap-2 text-sm w-44 flex-shrink-0 ${!member && isFull ? 'text-text-secondary/60' : 'text-text-primary'}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={!!member}
+                                    disabled={!member && isFull}
+                                    onChange={() => toggleSeat(seat)}
+                                    className="accent-primary"
+                                />
+                                {seat} <span className="text-xs text-text-secondary">({role})</span>
+                            </label>
+                            {member && (
+                                <select
+                                    value={member.persona}
+                                    onChange={(e) => setSeats(committeeSeats.map(item => (item.seat === seat ? { ...item, persona: e.target.value } : item)))}
+                                    aria-label={`${seat} persona`}
+                                    className="flex-1 min-w-0 p-2 text-sm border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors"
+                                >
+                                    {Object.keys(PERSONA_PROFILES)
+                                        .filter(option => option === member.persona || !takenPersonas.includes(option))
+                                        .map(option => <option key={option} value={option}>{PERSONA_PROFILES[option].name} ({option})</option>)}
+                                </select>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            <p className="text-xs text-text-secondary mt-1">
+                {committeeSeats.length > 0
+                    ? `${committeeSeats.length + 1} stakeholders on the call. Win each of them over on every step.`
+                    : 'Optional: bring up to two more stakeholders onto the call, each with their own agenda.'}
+            </p>
+        </div>
+    );
+};
+
 // --- Start Configuration Screen ---
-const StartConfig = ({ prospectConfig, setProspectConfig, onStart, setIsModalOpen }) => {
-    const personas = [
-        'Skeptical, Budget-Conscious',
-        'Friendly, Time-Pressed',
-        'Overwhelmed, Needs Hand-Holding',
-        'Analyst, Data-Focused',
-        'Innovator, Excited but Distracted'
-    ];
-    const industries = [
-        'SEO Consulting (Filtering Low-Value Clients)',
-        'B2B Software Sales (Streamlining Onboarding)',
-        'Real Estate Brokerage (Lead Qualification)',
-        'Financial Services (Compliance Automation)'
-    ];
+const StartConfig = ({ prospectConfig, setProspectConfig, scenarioLibrary, frameworkLibrary, providers, llmConfig, setLlmConfig, onStart, onShareChallenge, challengeError, setIsModalOpen, setIsLibraryOpen, setIsFrameworkLibraryOpen, setIsHistoryOpen, setIsAnalyticsOpen, setIsGradeOpen }) => {
+    const personas = Object.keys(PERSONA_PROFILES);
+    const industries = Object.keys(INDUSTRY_PROFILES);
+    const selectedScenario = prospectConfig.scenarioId
+        ? scenarioLibrary.find(scenario => scenario.id === prospectConfig.scenarioId)
+        : null;
+    const selectedFramework = resolveFramework(prospectConfig, frameworkLibrary);
+    const selectedProvider = providers[llmConfig.provider];
+    const [models, setModels] = useState(selectedProvider.defaultModels);
+    const [isLoadingModels, setIsLoadingModels] = useState(false);
+    // { url, copied } for the last challenge link made from this screen.
+    const [shareLink, setShareLink] = useState(null);
+
+    const handleShare = async () => {
+        const url = onShareChallenge();
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareLink({ url, copied: true });
+        } catch (e) {
+            // Clipboard access needs a secure context; the link is still shown for manual copying.
+            setShareLink({ url, copied: false });
+        }
+    };
+
+    // Refresh the model dropdown whenever the provider changes, falling back to the built-in list.
+    useEffect(() => {
+        let isCancelled = false;
+        const fallback = selectedProvider.defaultModels;
+        setModels(fallback);
+        setIsLoadingModels(selectedProvider.configured);
+        if (!selectedProvider.configured) return undefined;
+        listModels(llmConfig.provider).then(available => {
+            if (isCancelled) return;
+            const options = available && available.length > 0 ? available : fallback;
+            setModels(options);
+            setIsLoadingModels(false);
+            setLlmConfig(current => options.includes(current.model) ? current : { ...current, model: options[0] });
+        });
+        return () => { isCancelled = true; };
+    }, [llmConfig.provider, selectedProvider.configured]);
 
     return (
         <div className="flex flex-col items-center justify-center min-h-[80vh] p-4 bg-surface">
@@ -270,37 +1013,217 @@ const StartConfig = ({ prospectConfig, setProspectConfig, onStart, setIsModalOpe
                 <p className="text-center text-text-secondary mb-8 text-lg">
                     Set up your sales scenario to practice handling objections and guiding the conversation to a win.
                 </p>
+                {challengeError && (
+                    <div className="mb-6 bg-danger/10 border border-danger text-danger rounded-canva p-3 text-sm">{challengeError}</div>
+                )}
                 
                 <div className="space-y-6">
                     <div>
-                        <label className="block text-sm font-medium text-text-secondary mb-1">Prospect Persona</label>
+                        <div className="flex justify-between items-center mb-1">
+                            <label className="block text-sm font-medium text-text-secondary">Scenario</label>
+                            <button onClick={() => setIsLibraryOpen(true)} className="text-xs font-medium text-primary hover:underline">
+                                Manage Scenario Library
+                            </button>
+                        </div>
                         <select
-                            value={prospectConfig.persona}
-                            onChange={(e) => setProspectConfig({...prospectConfig, persona: e.target.value})}
+                            value={selectedScenario ? selectedScenario.id : ''}
+                            onChange={(e) => setProspectConfig({...prospectConfig, scenarioId: e.target.value || null})}
                             className="w-full p-3 border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors"
                         >
-                            {personas.map(p => <option key={p} value={p}>{p}</option>)}
+                            <option value="">Custom mix (choose persona &amp; industry)</option>
+                            {scenarioLibrary.map(scenario => (
+                                <option key={scenario.id} value={scenario.id}>
+                                    {scenario.title}{scenario.builtIn ? ' (built-in)' : ''}
+                                </option>
+                            ))}
                         </select>
                     </div>
 
+                    {selectedScenario ? (
+                        <div className="p-4 bg-primary/5 rounded-canva border-l-4 border-primary text-sm text-text-secondary space-y-1">
+                            <p><span className="font-semibold text-text-primary">Prospect:</span> {[selectedScenario.persona.name, selectedScenario.persona.role].filter(Boolean).join(', ')}</p>
+                            {isCommitteeCall(selectedScenario) && (
+                                <p><span className="font-semibold text-text-primary">Also on the call:</span> {selectedScenario.committee.map(member => [member.name, member.role].filter(Boolean).join(', ')).join('; ')}</p>
+                            )}
+                            {selectedScenario.company.name && <p><span className="font-semibold text-text-primary">Company:</span> {selectedScenario.company.name}</p>}
+                            {selectedScenario.product.name && <p><span className="font-semibold text-text-primary">Selling:</span> {selectedScenario.product.name}{selectedScenario.product.price ? ` (${selectedScenario.product.price})` : ''}</p>}
+                            <p><span className="font-semibold text-text-primary">Objections:</span> {Math.min(selectedScenario.objections.length, difficultyFor(prospectConfig.difficulty).objectionCount)}</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div>
+                                <label className="block text-sm font-medium text-text-secondary mb-1">Prospect Persona</label>
+                                <select
+                                    value={prospectConfig.persona}
+                                    onChange={(e) => setProspectConfig({
+                                        ...prospectConfig,
+                                        persona: e.target.value,
+                                        // The new lead can't also hold a committee seat.
+                                        committeeSeats: (prospectConfig.committeeSeats || []).filter(member => member.persona !== e.target.value)
+                                    })}
+                                    className="w-full p-3 border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors"
+                                >
+                                    {personas.map(p => <option key={p} value={p}>{p}</option>)}
+                                </select>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-text-secondary mb-1">Industry / Challenge Focus</label>
+                                <select
+                                    value={prospectConfig.industry}
+                                    onChange={(e) => setProspectConfig({...prospectConfig, industry: e.target.value})}
+                                    className="w-full p-3 border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors"
+                                >
+                                    {industries.map(i => <option key={i} value={i}>{i}</option>)}
+                                </select>
+                            </div>
+
+                            <CommitteeSeatPicker prospectConfig={prospectConfig} setProspectConfig={setProspectConfig} />
+                        </>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-text-secondary mb-1">Difficulty</label>
+                        <div className="grid grid-cols-3 gap-2" role="radiogroup" aria-label="Difficulty">
+                            {Object.entries(DIFFICULTY_LEVELS).map(([key, level]) => (
+                                <button
+                                    key={key}
+                                    type="button"
+                                    role="radio"
+                                    aria-checked={prospectConfig.difficulty === key}
+                                    onClick={() => setProspectConfig({...prospectConfig, difficulty: key})}
+                                    className={`py-2 font-medium rounded-canva shadow-canva-md transition-colors duration-200 ${
+                                        prospectConfig.difficulty === key ? 'bg-primary text-white' : 'bg-surface-hover text-text-primary hover:bg-surface-pressed'
+                                    }`}
+                                >
+                                    {level.label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-text-secondary mt-1">{difficultyFor(prospectConfig.difficulty).description}</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-text-secondary mb-1">Call Clock</label>
+                        <div className="grid grid-cols-4 gap-2" role="radiogroup" aria-label="Call clock">
+                            {Object.entries(CALL_TIMERS).map(([key, timer]) => (
+                                <button
+                                    key={key}
+                                    type="button"
+                                    role="radio"
+                                    aria-checked={callTimerFor(prospectConfig.timer) === timer}
+                                    onClick={() => setProspectConfig({...prospectConfig, timer: key})}
+                                    className={`py-2 font-medium rounded-canva shadow-canva-md transition-colors duration-200 ${
+                                        callTimerFor(prospectConfig.timer) === timer ? 'bg-primary text-white' : 'bg-surface-hover text-text-primary hover:bg-surface-pressed'
+                                    }`}
+                                >
+                                    {timer.label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-text-secondary mt-1">{callTimerFor(prospectConfig.timer).description}</p>
+                    </div>
+
                     <div>
-                        <label className="block text-sm font-medium text-text-secondary mb-1">Industry / Challenge Focus</label>
+                        <div className="flex justify-between items-center mb-1">
+                            <label className="block text-sm font-medium text-text-secondary">Sales Framework</label>
+                            <button onClick={() => setIsFrameworkLibraryOpen(true)} className="text-xs font-medium text-primary hover:underline">
+                                Manage Frameworks
+                            </button>
+                        </div>
                         <select
-                            value={prospectConfig.industry}
-                            onChange={(e) => setProspectConfig({...prospectConfig, industry: e.target.value})}
+                            value={selectedFramework.id}
+                            onChange={(e) => setProspectConfig({...prospectConfig, frameworkId: e.target.value})}
                             className="w-full p-3 border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors"
                         >
-                            {industries.map(i => <option key={i} value={i}>{i}</option>)}
+                            {frameworkLibrary.map(framework => (
+                                <option key={framework.id} value={framework.id}>
+                                    {framework.name} ({framework.steps.map(step => step.key).join('-')}){framework.builtIn ? '' : ' (custom)'}
+                                </option>
+                            ))}
                         </select>
                     </div>
 
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-text-secondary mb-1">Model Provider</label>
+                            <select
+                                value={llmConfig.provider}
+                                onChange={(e) => setLlmConfig({ provider: e.target.value, model: providers[e.target.value].defaultModels[0] })}
+                                className="w-full p-3 border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors"
+                            >
+                                {Object.entries(providers).map(([id, provider]) => (
+                                    <option key={id} value={id}>
+                                        {provider.label}{provider.configured ? '' : ' (no API key)'}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-text-secondary mb-1">Model</label>
+                            <select
+                                value={llmConfig.model}
+                                onChange={(e) => setLlmConfig({ ...llmConfig, model: e.target.value })}
+                                disabled={isLoadingModels}
+                                className="w-full p-3 border border-divider rounded-canva shadow-canva-md hover:border-primary focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none transition-colors disabled:opacity-50"
+                            >
+                                {models.map(m => <option key={m} value={m}>{m}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    {!selectedProvider.configured && (
+                        <p className="text-xs text-danger">
+                            Set {selectedProvider.envKey} in the server's .env file to use {selectedProvider.label}.
+                        </p>
+                    )}
+
                     <div className="pt-4 border-t border-divider mt-6 space-y-3">
                         <button
                             onClick={() => setIsModalOpen(true)}
                             className="w-full py-2.5 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
                         >
-                            What is SOLVE?
+                            What is {selectedFramework.name}?
+                        </button>
+                        <button
+                            onClick={() => setIsHistoryOpen(true)}
+                            className="w-full py-2.5 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
+                        >
+                            Practice History
+                        </button>
+                        <button
+                            onClick={() => setIsAnalyticsOpen(true)}
+                            className="w-full py-2.5 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
+                        >
+                            Progress Analytics
+                        </button>
+                        <button
+                            onClick={() => setIsGradeOpen(true)}
+                            className="w-full py-2.5 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
+                        >
+                            Grade a Transcript
+                        </button>
+                        <button
+                            onClick={handleShare}
+                            className="w-full py-2.5 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
+                        >
+                            Share Challenge
                         </button>
+                        {shareLink && (
+                            <div className="p-3 bg-primary/5 rounded-canva border-l-4 border-primary space-y-1">
+                                <p className="text-xs text-text-secondary">
+                                    {shareLink.copied ? 'Link copied. ' : ''}Everyone who opens it plays this scenario, difficulty, call clock and framework, and their results share one leaderboard.
+                                </p>
+                                <input
+                                    type="text"
+                                    readOnly
+                                    value={shareLink.url}
+                                    onFocus={(e) => e.target.select()}
+                                    aria-label="Challenge link"
+                                    className="w-full p-2 text-xs border border-divider rounded-canva bg-surface"
+                                />
+                            </div>
+                        )}
                         <button
                             onClick={onStart}
                             className="w-full py-2.5 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200"
@@ -314,107 +1237,1153 @@ const StartConfig = ({ prospectConfig, setProspectConfig, onStart, setIsModalOpe
     );
 };
 
-// --- Chat Panel Component ---
-const ChatPanel = ({ messages, input, setInput, isLoading, error, handleSubmit, messagesEndRef, isFinished }) => {
+// --- Transcript Export / Import ---
+// Files are built and parsed in transcript.js; the app adds the downloads and the print window.
+const exportTranscript = (data, format) => {
+    const baseName = `solve-call-${data.exportedAt.slice(0, 10)}`;
+    if (format === 'json') {
+        downloadJson(`${baseName}.json`, data);
+    } else if (format === 'markdown') {
+        downloadFile(`${baseName}.md`, transcriptToMarkdown(data), 'text/markdown');
+    } else {
+        const html = transcriptToHtmlReport(data);
+        const reportWindow = window.open('', '_blank');
+        // Popup blockers return null; fall back to a download the rep can print themselves.
+        if (!reportWindow) {
+            downloadFile(`${baseName}.html`, html, 'text/html');
+            return;
+        }
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+};
+
+// Derives tracker evidence from the grader's verbatim quotes when no per-turn statuses exist.
+const evidenceFromFeedback = (feedback, messages, framework) => Object.fromEntries(framework.steps.map(step => {
+    const { score, evidence, comment } = feedback.stepScores[step.key];
+    if (score < STEP_PASS_SCORE || evidence.length === 0) return [step.key, null];
+    const quote = evidence[0].toLowerCase();
+    const messageIndex = messages.findIndex(msg => msg.role === 'user' && msg.parts[0].text.toLowerCase().includes(quote));
+    return [step.key, messageIndex === -1 ? null : { messageIndex, justification: comment || 'Identified by the end-of-call grader.' }];
+}));
+
+const IMPORTED_CALL_SCENARIO = {
+    id: 'import:transcript',
+    title: 'Imported Call Transcript',
+    industry: '',
+    persona: { name: 'Prospect', role: '', style: '', temperament: '', budget: '', opening: '' },
+    company: { name: '', facts: [] },
+    painPoints: [],
+    product: { name: '', description: '', price: '' },
+    objections: [],
+};
+
+// --- Voice Mode ---
+// Browser speech recognition for the rep and speech synthesis for the prospect. Both APIs are optional:
+// without them the chat simply stays typed.
+const getSpeechRecognition = () => (typeof window !== 'undefined'
+    ? window.SpeechRecognition || window.webkitSpeechRecognition || null
+    : null);
+
+const isSpeechSynthesisAvailable = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Pitch/rate per built-in persona, plus which of the available English voices to use, so each prospect sounds different.
+const PERSONA_VOICE_PROFILES = {
+    'Skeptical, Budget-Conscious': { voiceIndex: 0, pitch: 0.8, rate: 0.95 },
+    'Friendly, Time-Pressed': { voiceIndex: 1, pitch: 1.15, rate: 1.2 },
+    'Overwhelmed, Needs Hand-Holding': { voiceIndex: 2, pitch: 1.05, rate: 0.9 },
+    'Analyst, Data-Focused': { voiceIndex: 3, pitch: 0.9, rate: 1.0 },
+    'Innovator, Excited but Distracted': { voiceIndex: 4, pitch: 1.25, rate: 1.15 },
+};
+
+// Custom personas get a stable voice derived from their name.
+const voiceProfileFor = (persona) => {
+    if (PERSONA_VOICE_PROFILES[persona?.style]) return PERSONA_VOICE_PROFILES[persona.style];
+    const hash = Array.from(persona?.name || '').reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return { voiceIndex: hash, pitch: 0.85 + (hash % 5) * 0.1, rate: 1.0 };
+};
+
+const stopSpeaking = () => {
+    if (isSpeechSynthesisAvailable()) window.speechSynthesis.cancel();
+};
+
+// On committee calls speakerId picks the stakeholder whose voice to use.
+const speakAsProspect = (text, scenario, speakerId = null) => {
+    if (!isSpeechSynthesisAvailable() || !text) return;
+    const profile = voiceProfileFor(stakeholdersFor(scenario).find(stakeholder => stakeholder.id === speakerId) || scenario?.persona);
+    const voices = window.speechSynthesis.getVoices().filter(voice => voice.lang?.startsWith('en'));
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (voices.length > 0) utterance.voice = voices[profile.voiceIndex % voices.length];
+    utterance.pitch = profile.pitch;
+    utterance.rate = profile.rate;
+    // A new reply replaces whatever the prospect was still saying.
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+};
+
+const SPEECH_ERROR_MESSAGES = {
+    'not-allowed': 'Microphone access was blocked. Allow it in your browser settings or keep typing.',
+    'service-not-allowed': 'Speech recognition is not allowed on this page. You can keep typing.',
+    'audio-capture': 'No microphone was found. You can keep typing.',
+    'network': 'Speech recognition lost its connection. Try again or keep typing.',
+};
+
+// Push-to-talk speech input. While listening, onTranscript receives the spoken text (interim results
+// included) appended to whatever was already typed, so the rep can review it before sending.
+const useSpeechInput = (onTranscript) => {
+    const recognitionRef = useRef(null);
+    const [isListening, setIsListening] = useState(false);
+    const [speechError, setSpeechError] = useState(null);
+
+    useEffect(() => () => recognitionRef.current?.abort(), []);
+
+    const startListening = (existingText) => {
+        const Recognition = getSpeechRecognition();
+        if (!Recognition || recognitionRef.current) return;
+
+        const recognition = new Recognition();
+        recognition.lang = navigator.language || 'en-US';
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.onresult = (event) => {
+            const spoken = Array.from(event.results).map(result => result[0].transcript).join('').trim();
+            onTranscript([existingText.trim(), spoken].filter(Boolean).join(' '));
+        };
+        recognition.onerror = (event) => {
+            if (event.error === 'aborted' || event.error === 'no-speech') return;
+            setSpeechError(SPEECH_ERROR_MESSAGES[event.error] || `Speech recognition failed (${event.error}).`);
+        };
+        recognition.onend = () => {
+            recognitionRef.current = null;
+            setIsListening(false);
+        };
+
+        recognitionRef.current = recognition;
+        setSpeechError(null);
+        setIsListening(true);
+        try {
+            recognition.start();
+        } catch (e) {
+            recognitionRef.current = null;
+            setIsListening(false);
+            setSpeechError('Speech recognition could not start. You can keep typing.');
+        }
+    };
+
+    const stopListening = () => {
+        recognitionRef.current?.stop();
+    };
+
+    return { isListening, speechError, startListening, stopListening };
+};
+
+// --- Chat Panel Component ---
+// Accent per stakeholder on committee calls, so each voice is easy to follow in the chat and the tracker.
+const STAKEHOLDER_ACCENTS = [
+    { border: 'border-primary', text: 'text-primary', fill: 'bg-primary' },
+    { border: 'border-amber-500', text: 'text-amber-700', fill: 'bg-amber-500' },
+    { border: 'border-teal-500', text: 'text-teal-700', fill: 'bg-teal-500' },
+];
+
+const stakeholderAccent = (index) => STAKEHOLDER_ACCENTS[index % STAKEHOLDER_ACCENTS.length];
+
+const ChatPanel = ({ messages, stakeholders = null, branches, activeBranchId, onSwitchBranch, onEditMessage, input, setInput, isLoading, error, onRetry, handleSubmit, messagesEndRef, isFinished, highlightedMessageIndex, streamingText, onCancel, isVoiceMode, onToggleVoiceMode }) => {
+    const messageRefs = useRef({});
+    // Index of the rep message being rewritten, with its draft text; null when not editing.
+    const [editing, setEditing] = useState(null);
+    const activeBranch = branches.find(branch => branch.id === activeBranchId);
+    const isSpeechInputAvailable = !!getSpeechRecognition();
+    const { isListening, speechError, startListening, stopListening } = useSpeechInput(setInput);
+    const canTalk = !isFinished && !isLoading;
+
+    const handleTalkStart = (e) => {
+        e.preventDefault();
+        if (!canTalk) return;
+        // The rep is talking over the prospect, so cut the prospect off.
+        stopSpeaking();
+        startListening(input);
+    };
+
+    // Holding Space or Enter on the focused mic button works like holding the pointer.
+    const handleTalkKey = (e) => {
+        if (e.key !== ' ' && e.key !== 'Enter') return;
+        if (e.type === 'keydown' && !e.repeat) handleTalkStart(e);
+        if (e.type === 'keyup') stopListening();
+    };
+
+    useEffect(() => {
+        if (highlightedMessageIndex === null) return;
+        messageRefs.current[highlightedMessageIndex]?.scrollIntoView({ behavior: "smooth", block: "center" });
+    }, [highlightedMessageIndex]);
+
+    // A branch switch or a new branch replaces the transcript under the editor, and a finished call can't
+    // be replayed from.
+    useEffect(() => {
+        setEditing(null);
+    }, [activeBranchId, isFinished]);
+
+    const handleReplay = (e) => {
+        e.preventDefault();
+        if (!editing.text.trim()) return;
+        onEditMessage(editing.index, editing.text);
+        setEditing(null);
+    };
+
+    return (
+        <div className="flex-1 bg-surface rounded-canva shadow-canva-lg overflow-hidden border border-divider flex flex-col">
+            {branches.length > 1 && (
+                <div className="px-4 py-2 border-b border-divider bg-surface-hover flex items-center gap-2 text-sm">
+                    <label htmlFor="branch-select" className="text-text-secondary">Branch</label>
+                    <select
+                        id="branch-select"
+                        value={activeBranchId}
+                        onChange={(e) => onSwitchBranch(e.target.value)}
+                        disabled={isLoading}
+                        className="p-1 border border-divider rounded-canva bg-surface text-sm disabled:opacity-50"
+                    >
+                        {branches.map(branch => (
+                            <option key={branch.id} value={branch.id}>
+                                {branch.label}{branch.forkIndex === null ? '' : ` (rewrote turn ${repTurnsUntil(branch.messages, branch.forkIndex)})`}
+                            </option>
+                        ))}
+                    </select>
+                    <span className="text-xs text-text-secondary">Flip between versions to compare how the prospect reacted.</span>
+                </div>
+            )}
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                {messages.map((message, index) => {
+                    const speakerIndex = message.role === 'model' && stakeholders ? stakeholders.findIndex(stakeholder => stakeholder.id === message.speaker) : -1;
+                    const speaker = speakerIndex === -1 ? null : stakeholders[speakerIndex];
+                    return (
+                        <React.Fragment key={index}>
+                            {activeBranch?.forkIndex === index && (
+                                <p className="text-center text-xs text-text-secondary border-t border-dashed border-divider pt-2">
+                                    {activeBranch.label} starts here with a rewritten message
+                                </p>
+                            )}
+                            <div
+                                ref={(el) => { messageRefs.current[index] = el; }}
+                                className={`group flex flex-col ${message.role === 'user' ? 'items-end' : 'items-start'}`}
+                            >
+                                {editing?.index === index ? (
+                                    <form onSubmit={handleReplay} className="w-full max-w-[80%] ml-4 space-y-2">
+                                        <textarea
+                                            value={editing.text}
+                                            onChange={(e) => setEditing({ index, text: e.target.value })}
+                                            rows={3}
+                                            autoFocus
+                                            aria-label="Rewrite this message"
+                                            className="w-full p-2 text-sm border border-primary rounded-canva focus:ring-2 focus:ring-primary/20 focus:outline-none"
+                                        />
+                                        <div className="flex justify-end gap-2 text-xs">
+                                            <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 bg-surface-hover border border-divider rounded-canva">Cancel</button>
+                                            <button type="submit" disabled={!editing.text.trim()} className="px-3 py-1 bg-primary text-white rounded-canva disabled:opacity-50">Replay From Here</button>
+                                        </div>
+                                        <p className="text-xs text-text-secondary text-right">Everything after this message moves to its own branch, so nothing is lost.</p>
+                                    </form>
+                                ) : (
+                                    <>
+                                        {speaker && (
+                                            <p className={`text-xs font-semibold mb-1 ${stakeholderAccent(speakerIndex).text}`}>
+                                                {speaker.name}{speaker.role ? ` · ${speaker.role}` : ''}
+                                            </p>
+                                        )}
+                                        <div className={`max-w-[80%] rounded-canva p-3 transition-shadow duration-300 ${
+                                            message.role === 'user' 
+                                                ? 'bg-primary text-white ml-4' 
+                                                : 'bg-surface-hover text-text-primary mr-4'
+                                        } ${speaker ? `border-l-4 ${stakeholderAccent(speakerIndex).border}` : ''} ${highlightedMessageIndex === index ? 'ring-4 ring-primary-light ring-offset-2' : ''}`}>
+                                            {message.parts[0].text}
+                                        </div>
+                                    </>
+                                )}
+                                {message.role === 'user' && onEditMessage && !isLoading && !isFinished && editing?.index !== index && (
+                                    <button
+                                        onClick={() => setEditing({ index, text: message.parts[0].text })}
+                                        className="text-xs text-primary mt-1 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+                                    >
+                                        Edit &amp; replay
+                                    </button>
+                                )}
+                            </div>
+                        </React.Fragment>
+                    );
+                })}
+                {streamingText !== null && (
+                    <div className="flex justify-start">
+                        <div className="max-w-[80%] rounded-canva p-3 bg-surface-hover text-text-primary mr-4">
+                            {streamingText || <span className="text-text-secondary">...</span>}
+                            <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-primary animate-pulse" />
+                        </div>
+                    </div>
+                )}
+                {error && (
+                    <div className="bg-danger/10 border border-danger text-danger rounded-canva p-3 space-y-2">
+                        <div className="flex items-start justify-between gap-3">
+                            <div>
+                                <p className="font-semibold">{error.title}</p>
+                                <p className="text-sm">{error.message}</p>
+                            </div>
+                            {onRetry && error.retryAction && (
+                                <button
+                                    type="button"
+                                    onClick={onRetry}
+                                    disabled={isLoading}
+                                    className="shrink-0 px-3 py-1.5 text-sm font-semibold rounded-canva bg-danger text-white hover:bg-danger-hover transition-colors duration-200 disabled:opacity-50"
+                                >
+                                    {error.retryAction === 'grade' ? 'Retry Grading' : 'Retry Turn'}
+                                </button>
+                            )}
+                        </div>
+                        {error.detail && (
+                            <details className="text-xs text-text-secondary">
+                                <summary className="cursor-pointer">Technical details</summary>
+                                <pre className="mt-1 whitespace-pre-wrap break-words">{error.detail}</pre>
+                            </details>
+                        )}
+                    </div>
+                )}
+                <div ref={messagesEndRef} />
+            </div>
+            
+            <div className="p-4 border-t border-divider bg-surface">
+                <div className="flex items-center justify-between mb-2">
+                    <label
+                        className={`flex items-center space-x-2 text-sm ${isSpeechInputAvailable ? 'text-text-secondary cursor-pointer' : 'text-text-secondary/60 cursor-not-allowed'}`}
+                        title={isSpeechInputAvailable ? undefined : "This browser doesn't support speech recognition; typed input is still available."}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={isVoiceMode}
+                            onChange={(e) => onToggleVoiceMode(e.target.checked)}
+                            disabled={!isSpeechInputAvailable}
+                            className="accent-primary"
+                        />
+                        <span>Voice mode{isSpeechInputAvailable ? '' : ' (not supported in this browser)'}</span>
+                    </label>
+                    {isVoiceMode && (
+                        <span className={`text-xs ${isListening ? 'text-danger font-semibold' : 'text-text-secondary'}`}>
+                            {isListening ? 'Listening... release to stop' : 'Hold the mic (or Space on it) to talk'}
+                        </span>
+                    )}
+                </div>
+                {speechError && <p className="text-xs text-danger mb-2">{speechError}</p>}
+                <form onSubmit={handleSubmit} className="flex space-x-2">
+                    {isVoiceMode && (
+                        <button
+                            type="button"
+                            onPointerDown={handleTalkStart}
+                            onPointerUp={stopListening}
+                            onPointerLeave={stopListening}
+                            onPointerCancel={stopListening}
+                            onKeyDown={handleTalkKey}
+                            onKeyUp={handleTalkKey}
+                            disabled={!canTalk}
+                            aria-pressed={isListening}
+                            title="Push to talk"
+                            className={`px-4 py-2 font-medium rounded-canva shadow-canva-md transition-colors duration-200 select-none disabled:opacity-50 disabled:cursor-not-allowed ${
+                                isListening ? 'bg-danger text-white animate-pulse' : 'bg-surface-hover text-text-primary hover:bg-surface-pressed'
+                            }`}
+                        >
+                            {isListening ? 'Talking' : 'Hold to talk'}
+                        </button>
+                    )}
+                    <input
+                        type="text"
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        placeholder={isFinished ? "Session complete" : isListening ? "Listening..." : isVoiceMode ? "Speak or type your response..." : "Type your response..."}
+                        disabled={isFinished || isLoading}
+                        className="flex-1 p-2 border border-divider rounded-canva shadow-canva-md focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+                    />
+                    {isLoading && onCancel ? (
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="px-4 py-2 bg-danger text-white font-medium rounded-canva shadow-canva-md hover:bg-danger-hover transition-colors duration-200"
+                        >
+                            Cancel
+                        </button>
+                    ) : (
+                        <button
+                            type="submit"
+                            disabled={!input.trim() || isLoading || isFinished}
+                            className="px-4 py-2 bg-primary text-white font-medium rounded-canva shadow-canva-md hover:bg-primary-hover transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {isLoading ? "..." : "Send"}
+                        </button>
+                    )}
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// --- Coach Panel Component ---
+// Private side panel for coach hints and nudges. Nothing here is ever sent to the prospect.
+const CoachPanel = ({ hints, framework, onAskCoach, isCoachLoading, coachError, isAutoNudgeEnabled, setIsAutoNudgeEnabled, isLoading, isFinished, onSelectMessage }) => {
+    const stepLabel = (key) => framework.steps.find(step => step.key === key)?.label;
+
+    return (
+        <div className="w-full lg:w-72 bg-surface p-6 rounded-canva shadow-canva-lg overflow-y-auto font-sans h-full border border-divider flex flex-col">
+            <h2 className="text-xl font-bold text-primary mb-1 border-b border-divider pb-2">{COACH_ROLE_NAME}</h2>
+            <p className="text-xs text-text-secondary mb-4">Only you can see these hints. The prospect never hears the coach.</p>
+            <button
+                onClick={onAskCoach}
+                disabled={isCoachLoading || isLoading || isFinished}
+                className="w-full py-2 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {isCoachLoading ? 'Coach is thinking...' : 'Ask the Coach'}
+            </button>
+            <label className="flex items-center space-x-2 text-sm text-text-secondary mt-3 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={isAutoNudgeEnabled}
+                    onChange={(e) => setIsAutoNudgeEnabled(e.target.checked)}
+                    className="accent-primary"
+                />
+                <span>Automatic nudges</span>
+            </label>
+            {coachError && <p className="text-xs text-danger mt-2">{coachError}</p>}
+
+            <div className="mt-4 space-y-3 flex-1">
+                {hints.length === 0 && (
+                    <p className="text-sm text-text-secondary">No hints yet. Ask the coach whenever you're stuck.</p>
+                )}
+                {[...hints].reverse().map(hint => (
+                    <div
+                        key={hint.id}
+                        className={`p-3 rounded-canva text-sm border-l-4 ${hint.kind === 'nudge' ? 'bg-danger/5 border-danger' : 'bg-primary/5 border-primary'}`}
+                    >
+                        <p className="text-xs font-semibold uppercase text-text-secondary mb-1">
+                            {hint.kind === 'nudge' ? 'Nudge' : 'Hint'}{hint.focusStep ? ` · ${stepLabel(hint.focusStep)}` : ''}
+                        </p>
+                        <p className="text-text-primary">{hint.text}</p>
+                        {hint.suggestedLine && (
+                            <p className="text-text-secondary italic mt-2">Try: "{hint.suggestedLine}"</p>
+                        )}
+                        {hint.messageIndex !== null && (
+                            <button onClick={() => onSelectMessage(hint.messageIndex)} className="text-xs text-primary underline mt-1">
+                                View message
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// --- Progress Panel Component ---
+// Seconds as m:ss for the call clock and call lengths.
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Call length from the first to the last stamped message, for sessions saved before the clock was stored.
+const secondsBetweenMessages = (messages) => {
+    const stamps = messages.map(msg => Date.parse(msg.at)).filter(Number.isFinite);
+    return stamps.length > 0 ? Math.max(0, (Math.max(...stamps) - Math.min(...stamps)) / 1000) : 0;
+};
+
+const ProgressPanel = ({ framework, solveStatus, solveEvidence, stakeholders = null, stakeholderStatus = null, patience, difficulty, callClock, onSelectStep, setIsConfiguring, processUserTurn, isLoading, isFinished, hasFeedback, onViewResults, onExport }) => {
+    return (
+        <div className="w-full lg:w-80 bg-surface p-6 rounded-canva shadow-canva-lg overflow-y-auto font-sans h-full border border-divider">
+            <h2 className="text-xl font-bold text-primary mb-4 border-b border-divider pb-2">{framework.name} Progress Tracker</h2>
+            {callClock && (
+                <div className="mb-4">
+                    <div className="flex justify-between items-baseline mb-1">
+                        <p className="text-xs font-semibold uppercase text-text-secondary">Call Clock</p>
+                        <p className={`text-xs font-mono ${callClock.elapsedSeconds >= callClock.limitSeconds ? 'text-danger' : 'text-text-secondary'}`}>
+                            {formatClock(Math.min(callClock.elapsedSeconds, callClock.limitSeconds))} / {formatClock(callClock.limitSeconds)}
+                        </p>
+                    </div>
+                    <div
+                        className="h-2 bg-surface-hover rounded-full overflow-hidden"
+                        role="timer"
+                        aria-label="Call time used"
+                    >
+                        <div
+                            className={`h-full ${scoreColor(10 - (callClock.elapsedSeconds / callClock.limitSeconds) * 10)} transition-all duration-500`}
+                            style={{ width: `${Math.min(100, (callClock.elapsedSeconds / callClock.limitSeconds) * 100)}%` }}
+                        />
+                    </div>
+                    <p className={`text-xs mt-1 ${callClock.repTurns >= callClock.maxTurns ? 'text-danger' : 'text-text-secondary'}`}>
+                        Turns used: {callClock.repTurns} of {callClock.maxTurns}
+                        {(callClock.elapsedSeconds >= callClock.limitSeconds || callClock.repTurns >= callClock.maxTurns) && ' · time is up, grading the call'}
+                    </p>
+                </div>
+            )}
+            <div className="mb-4">
+                <div className="flex justify-between items-baseline mb-1">
+                    <p className="text-xs font-semibold uppercase text-text-secondary">Prospect Patience</p>
+                    <p className="text-xs text-text-secondary">{difficultyFor(difficulty).label} · {patience.value}/{MAX_PATIENCE}</p>
+                </div>
+                <div
+                    className="h-2 bg-surface-hover rounded-full overflow-hidden"
+                    role="meter"
+                    aria-label="Prospect patience"
+                    aria-valuemin={0}
+                    aria-valuemax={MAX_PATIENCE}
+                    aria-valuenow={patience.value}
+                >
+                    <div
+                        className={`h-full ${scoreColor((patience.value / MAX_PATIENCE) * 10)} transition-all duration-500`}
+                        style={{ width: `${(patience.value / MAX_PATIENCE) * 100}%` }}
+                    />
+                </div>
+                {patience.value <= 0 ? (
+                    <p className="text-xs text-danger mt-1">The prospect ran out of patience and hung up.</p>
+                ) : patience.lastChange && (
+                    <p className={`text-xs mt-1 ${patience.lastChange.delta < 0 ? 'text-danger' : 'text-text-secondary'}`}>
+                        {patience.lastChange.delta > 0 ? '+' : ''}{patience.lastChange.delta}: {patience.lastChange.reason}
+                    </p>
+                )}
+            </div>
+            {stakeholders && stakeholderStatus && (
+                <div className="mb-4">
+                    <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Buying Committee</p>
+                    <ul className="space-y-3">
+                        {stakeholders.map((stakeholder, index) => (
+                            <li key={stakeholder.id} className={`pl-3 border-l-4 ${stakeholderAccent(index).border}`}>
+                                <p className={`text-sm font-semibold ${stakeholderAccent(index).text}`}>
+                                    {stakeholder.name}{stakeholder.role ? <span className="font-normal text-text-secondary"> · {stakeholder.role}</span> : null}
+                                </p>
+                                <p className="text-xs text-text-secondary">{stakeholder.agenda}</p>
+                                <div className="flex gap-1 mt-1" aria-label={`${framework.name} progress with ${stakeholder.name}`}>
+                                    {framework.steps.map(step => {
+                                        const isWon = !!stakeholderStatus[stakeholder.id]?.[step.key];
+                                        return (
+                                            <span
+                                                key={step.key}
+                                                title={`${step.label}: ${isWon ? 'won over' : 'not yet'}`}
+                                                className={`w-6 h-6 flex items-center justify-center rounded-full text-xs font-bold ${
+                                                    isWon ? `${stakeholderAccent(index).fill} text-white` : 'bg-surface-hover text-text-secondary border border-divider'
+                                                }`}
+                                            >
+                                                {step.key}
+                                            </span>
+                                        );
+                                    })}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <div className="space-y-4">
+                {framework.steps.map(step => {
+                    const isComplete = solveStatus[step.key];
+                    const evidence = solveEvidence[step.key];
+                    const wonOver = stakeholders && stakeholderStatus
+                        ? stakeholders.filter(stakeholder => stakeholderStatus[stakeholder.id]?.[step.key]).length
+                        : null;
+                    return (
+                        <div 
+                            key={step.key} 
+                            onClick={evidence ? () => onSelectStep(step.key) : undefined}
+                            title={evidence ? 'Show the message that completed this step' : undefined}
+                            className={`p-4 rounded-canva flex items-start space-x-3 transition-all duration-200 ${
+                                isComplete 
+                                    ? 'bg-primary/5 border-l-4 border-primary shadow-canva-md' 
+                                    : 'bg-surface-hover border-l-4 border-divider'
+                            } ${evidence ? 'cursor-pointer hover:shadow-canva-lg' : ''}`}
+                        >
+                            <div className={`w-8 h-8 flex-shrink-0 flex items-center justify-center rounded-full font-bold text-white text-lg ${
+                                isComplete ? 'bg-primary' : 'bg-text-secondary'
+                            }`}>
+                                {step.key}
+                            </div>
+                            <div>
+                                <p className={`font-semibold text-sm ${isComplete ? 'text-primary' : 'text-text-primary'}`}>
+                                    {step.label}
+                                </p>
+                                <p className={`text-xs ${isComplete ? 'text-primary/80' : 'text-text-secondary'}`}>
+                                    {isComplete ? 'COMPLETED' : wonOver ? `Won over ${wonOver} of ${stakeholders.length}` : 'Awaiting action...'}
+                                </p>
+                                {evidence && (
+                                    <p className="text-xs text-text-secondary mt-1">
+                                        {evidence.justification} <span className="text-primary underline">View message</span>
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="mt-6 pt-4 border-t border-divider">
+                <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Export Transcript</p>
+                <ExportButtons onExport={onExport} disabled={isLoading} />
+            </div>
+            <div className="mt-4 pt-4 border-t border-divider">
+                <button
+                    onClick={() => setIsConfiguring(true)}
+                    className="w-full py-2 mb-2 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
+                    disabled={isLoading}
+                >
+                    Start New Scenario
+                </button>
+                {isFinished && hasFeedback ? (
+                    <button
+                        onClick={onViewResults}
+                        className="w-full py-2 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200"
+                    >
+                        View Scorecard
+                    </button>
+                ) : (
+                    <button
+                        onClick={() => processUserTurn("END_CALL")}
+                        className="w-full py-2 bg-danger hover:bg-danger-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200"
+                        disabled={isFinished || isLoading}
+                    >
+                        {isLoading ? 'Grading call...' : isFinished ? 'CALL FINISHED' : 'Finish & Get Feedback'}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Scorecard (End-of-Call Results Screen) ---
+const scoreColor = (score) => (score >= 7 ? 'bg-primary' : score >= 4 ? 'bg-primary-light' : 'bg-danger');
+
+// --- Challenge Leaderboard (shown on the scorecard of a shared challenge) ---
+const ChallengeLeaderboard = ({ result }) => {
+    const [entries, setEntries] = useState(null);
+    const [name, setName] = useState(() => localStorage.getItem(DISPLAY_NAME_STORAGE_KEY) || '');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setEntries(null);
+        fetchLeaderboard(result.challengeId)
+            .then(setEntries)
+            .catch(e => {
+                console.error('Failed to load the leaderboard:', e);
+                setError(`Could not load the leaderboard: ${e.message}`);
+                setEntries([]);
+            });
+    }, [result.challengeId]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            localStorage.setItem(DISPLAY_NAME_STORAGE_KEY, name.trim());
+            setEntries(await submitLeaderboardResult({ ...result, name: name.trim() }));
+        } catch (err) {
+            console.error('Failed to submit the challenge result:', err);
+            setError(`Could not submit your result: ${err.message}`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const hasSubmitted = entries?.some(entry => entry.isYou);
+
+    return (
+        <div className="pt-4 border-t border-divider space-y-3">
+            <p className="text-xs font-semibold uppercase text-text-secondary">Challenge Leaderboard</p>
+            <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={40}
+                    placeholder="Your name on the leaderboard"
+                    aria-label="Your name on the leaderboard"
+                    className="flex-1 p-2 text-sm border border-divider rounded-canva focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none"
+                />
+                <button
+                    type="submit"
+                    disabled={!name.trim() || isSubmitting}
+                    className="px-4 py-2 bg-primary hover:bg-primary-hover text-white text-sm font-medium rounded-canva shadow-canva-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isSubmitting ? 'Submitting...' : hasSubmitted ? 'Submit This Attempt' : 'Submit My Result'}
+                </button>
+            </form>
+            <p className="text-xs text-text-secondary">Only your best attempt at this challenge is ranked.</p>
+            {error && <div className="bg-danger/10 border border-danger text-danger rounded-canva p-3 text-sm">{error}</div>}
+            {entries === null ? (
+                <p className="text-sm text-text-secondary">Loading leaderboard...</p>
+            ) : entries.length === 0 ? (
+                <p className="text-sm text-text-secondary">No results yet. Be the first on the board.</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-xs text-text-secondary border-b border-divider">
+                            <th className="py-1 font-medium">#</th>
+                            <th className="py-1 font-medium">Rep</th>
+                            <th className="py-1 font-medium text-right">Score</th>
+                            <th className="py-1 font-medium text-right">Turns to Close</th>
+                            <th className="py-1 font-medium text-right">Steps</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map((entry, index) => (
+                            <tr key={`${entry.submittedAt}-${index}`} className={`border-b border-divider/50 ${entry.isYou ? 'bg-primary/5 font-semibold' : ''}`}>
+                                <td className="py-1">{index + 1}</td>
+                                <td className="py-1 text-text-primary">{entry.name}{entry.isYou ? ' (you)' : ''}</td>
+                                <td className="py-1 text-right">{entry.score.toFixed(1)}</td>
+                                <td className="py-1 text-right">{entry.turnsToClose ?? '—'}</td>
+                                <td className="py-1 text-right">{entry.stepsCompleted}/{entry.totalSteps}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+// --- Call Mechanics (delivery stats measured locally from the transcript) ---
+const CallMechanics = ({ metrics, timer }) => {
+    const percent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+    const tiles = [
+        ['Words per Turn', metrics.wordsPerTurn.toFixed(0), `Across ${metrics.repTurns} rep turn${metrics.repTurns === 1 ? '' : 's'}`],
+        ['Talk Ratio', percent(metrics.talkRatio), metrics.talkRatio === null ? 'No words spoken' : `You ${percent(metrics.talkRatio)} · prospect ${percent(1 - metrics.talkRatio)}`],
+        ['Question Rate', percent(metrics.questionRate), 'Share of your turns that asked a question'],
+        [
+            'Filler & Hedge Words',
+            metrics.fillerCount,
+            metrics.fillerCount > 0
+                ? `${metrics.fillersPer100Words.toFixed(1)} per 100 words · ${metrics.fillers.slice(0, 3).map(filler => `"${filler.phrase}" ×${filler.count}`).join(', ')}`
+                : 'None detected',
+        ],
+        [
+            'First Pain Question',
+            metrics.firstPainQuestion ? `Turn ${metrics.firstPainQuestion.turn}` : 'Never asked',
+            metrics.firstPainQuestion?.seconds != null ? `${formatClock(metrics.firstPainQuestion.seconds)} into the call` : 'Time not recorded',
+        ],
+        [
+            'Call Length',
+            metrics.durationSeconds != null ? formatClock(metrics.durationSeconds) : '—',
+            timer.seconds ? `${timer.label} clock: ${formatClock(timer.seconds)} / ${timer.maxTurns} turns` : 'Untimed call',
+        ],
+    ];
+
     return (
-        <div className="flex-1 bg-surface rounded-canva shadow-canva-lg overflow-hidden border border-divider flex flex-col">
-            <div className="flex-1 overflow-y-auto p-4 space-y-4">
-                {messages.map((message, index) => (
-                    <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-                        <div className={`max-w-[80%] rounded-canva p-3 ${
-                            message.role === 'user' 
-                                ? 'bg-primary text-white ml-4' 
-                                : 'bg-surface-hover text-text-primary mr-4'
-                        }`}>
-                            {message.parts[0].text}
-                        </div>
+        <div>
+            <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Call Mechanics</p>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                {tiles.map(([title, value, detail]) => (
+                    <div key={title} className="p-4 bg-surface-hover rounded-canva">
+                        <p className="text-xs font-semibold uppercase text-text-secondary mb-1">{title}</p>
+                        <p className="text-xl font-bold text-text-primary">{value}</p>
+                        <p className="text-xs text-text-secondary mt-1">{detail}</p>
                     </div>
                 ))}
-                {error && (
-                    <div className="bg-danger/10 border border-danger text-danger rounded-canva p-3">
-                        {error}
-                    </div>
-                )}
-                <div ref={messagesEndRef} />
-            </div>
-            
-            <div className="p-4 border-t border-divider bg-surface">
-                <form onSubmit={handleSubmit} className="flex space-x-2">
-                    <input
-                        type="text"
-                        value={input}
-                        onChange={(e) => setInput(e.target.value)}
-                        placeholder={isFinished ? "Session complete" : "Type your response..."}
-                        disabled={isFinished || isLoading}
-                        className="flex-1 p-2 border border-divider rounded-canva shadow-canva-md focus:border-primary focus:ring-2 focus:ring-primary/20 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
-                    />
-                    <button
-                        type="submit"
-                        disabled={!input.trim() || isLoading || isFinished}
-                        className="px-4 py-2 bg-primary text-white font-medium rounded-canva shadow-canva-md hover:bg-primary-hover transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                        {isLoading ? "..." : "Send"}
-                    </button>
-                </form>
             </div>
         </div>
     );
 };
 
-// --- Progress Panel Component ---
-const ProgressPanel = ({ solveStatus, setIsConfiguring, processUserTurn, isLoading, isFinished }) => {
+const ScorecardView = ({ feedback, solveStatus, stakeholderStatus = null, scenario, metrics, prospectHungUp = false, challengeResult = null, onBackToTranscript, onNewScenario, onExport }) => {
+    const framework = frameworkFor(scenario);
+    const timer = callTimerFor(scenario?.timer);
+    const averageScore = averageStepScore(feedback, framework).toFixed(1);
+
     return (
-        <div className="w-full lg:w-80 bg-surface p-6 rounded-canva shadow-canva-lg overflow-y-auto font-sans h-full border border-divider">
-            <h2 className="text-xl font-bold text-primary mb-4 border-b border-divider pb-2">SOLVE Progress Tracker</h2>
+        <div className="max-w-4xl mx-auto bg-surface p-6 md:p-8 rounded-canva shadow-canva-lg border border-divider font-sans space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 border-b border-divider pb-4">
+                <div>
+                    <h2 className="text-2xl md:text-3xl font-bold text-primary">Call Scorecard</h2>
+                    {scenario && (
+                        <p className="text-sm text-text-secondary">
+                            {stakeholdersFor(scenario).map(stakeholder => stakeholder.name).join(', ')}{scenario.company.name ? ` · ${scenario.company.name}` : ''}{scenario.difficulty ? ` · ${difficultyFor(scenario.difficulty).label}` : ''}{timer.seconds ? ` · ${timer.label} call` : ''}{scenario.challenge ? ' · Shared challenge' : ''}
+                        </p>
+                    )}
+                </div>
+                <div className="text-center">
+                    <p className="text-4xl font-bold text-text-primary">{averageScore}<span className="text-lg text-text-secondary">/10</span></p>
+                    <p className="text-xs text-text-secondary">Average {framework.name} score</p>
+                </div>
+            </div>
+
+            {prospectHungUp && (
+                <div className="p-4 bg-danger/10 rounded-canva border-l-4 border-danger">
+                    <p className="text-xs font-semibold uppercase text-danger mb-1">Call Ended by Prospect</p>
+                    <p className="text-text-primary">{isCommitteeCall(scenario) ? 'The committee' : scenario?.persona.name || 'The prospect'} ran out of patience and hung up before you could finish.</p>
+                </div>
+            )}
+
+            {feedback.overallVerdict && (
+                <div className="p-4 bg-primary/5 rounded-canva border-l-4 border-primary">
+                    <p className="text-xs font-semibold uppercase text-primary mb-1">Overall Verdict</p>
+                    <p className="text-text-primary">{feedback.overallVerdict}</p>
+                </div>
+            )}
+
             <div className="space-y-4">
-                {SOLVE_STEPS_DATA.map(step => {
-                    const isComplete = solveStatus[step.key];
+                {framework.steps.map(step => {
+                    const { score, evidence, comment } = feedback.stepScores[step.key];
                     return (
-                        <div 
-                            key={step.key} 
-                            className={`p-4 rounded-canva flex items-start space-x-3 transition-all duration-200 ${
-                                isComplete 
-                                    ? 'bg-primary/5 border-l-4 border-primary shadow-canva-md' 
-                                    : 'bg-surface-hover border-l-4 border-divider'
-                            }`}
-                        >
-                            <div className={`w-8 h-8 flex-shrink-0 flex items-center justify-center rounded-full font-bold text-white text-lg ${
-                                isComplete ? 'bg-primary' : 'bg-text-secondary'
-                            }`}>
-                                {step.key}
+                        <div key={step.key} className="p-4 bg-surface-hover rounded-canva">
+                            <div className="flex items-center justify-between mb-2">
+                                <div className="flex items-center space-x-2">
+                                    <div className="w-7 h-7 flex-shrink-0 flex items-center justify-center rounded-full bg-primary text-white font-bold text-sm">
+                                        {step.key}
+                                    </div>
+                                    <p className="font-semibold text-text-primary">{step.label}</p>
+                                    {solveStatus[step.key] && <span className="text-xs text-primary font-medium">COMPLETED IN CALL</span>}
+                                </div>
+                                <p className="font-bold text-text-primary">{score}/10</p>
                             </div>
-                            <div>
-                                <p className={`font-semibold text-sm ${isComplete ? 'text-primary' : 'text-text-primary'}`}>
-                                    {step.label}
-                                </p>
-                                <p className={`text-xs ${isComplete ? 'text-primary/80' : 'text-text-secondary'}`}>
-                                    {isComplete ? 'COMPLETED' : 'Awaiting action...'}
-                                </p>
+                            <div className="w-full h-2 bg-divider rounded-full overflow-hidden mb-2">
+                                <div className={`h-full ${scoreColor(score)}`} style={{ width: `${score * 10}%` }} />
                             </div>
+                            {comment && <p className="text-sm text-text-secondary">{comment}</p>}
+                            {evidence.length > 0 && (
+                                <ul className="mt-2 space-y-1">
+                                    {evidence.map((quote, index) => (
+                                        <li key={index} className="text-sm italic text-text-primary border-l-2 border-primary/40 pl-2">"{quote}"</li>
+                                    ))}
+                                </ul>
+                            )}
                         </div>
                     );
                 })}
             </div>
-            <div className="mt-6 pt-4 border-t border-divider">
+
+            {isCommitteeCall(scenario) && stakeholderStatus && (
+                <div>
+                    <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Buying Committee</p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        {stakeholdersFor(scenario).map((stakeholder, index) => {
+                            const missed = framework.steps.filter(step => !stakeholderStatus[stakeholder.id]?.[step.key]);
+                            return (
+                                <div key={stakeholder.id} className={`p-4 bg-surface-hover rounded-canva border-l-4 ${stakeholderAccent(index).border}`}>
+                                    <p className={`font-semibold ${stakeholderAccent(index).text}`}>{stakeholder.name}</p>
+                                    {stakeholder.role && <p className="text-xs text-text-secondary">{stakeholder.role}</p>}
+                                    <p className="text-sm text-text-primary mt-2">
+                                        Won over on {framework.steps.length - missed.length} of {framework.steps.length} steps
+                                    </p>
+                                    {missed.length > 0 && (
+                                        <p className="text-xs text-text-secondary mt-1">Still needed: {missed.map(step => step.label).join(', ')}</p>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[['Strongest Turn', feedback.strongestTurn], ['Weakest Turn', feedback.weakestTurn]].map(([title, turn]) => (
+                    <div key={title} className="p-4 bg-surface-hover rounded-canva">
+                        <p className="text-xs font-semibold uppercase text-text-secondary mb-1">{title}</p>
+                        {turn ? (
+                            <>
+                                <p className="text-sm italic text-text-primary">"{turn.quote}"</p>
+                                {turn.reason && <p className="text-xs text-text-secondary mt-1">{turn.reason}</p>}
+                            </>
+                        ) : (
+                            <p className="text-sm text-text-secondary">Not enough turns to judge.</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {metrics && <CallMechanics metrics={metrics} timer={timer} />}
+
+            {feedback.missedOpportunities.length > 0 && (
+                <div>
+                    <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Missed Opportunities</p>
+                    <ul className="list-disc list-inside space-y-1 text-sm text-text-primary">
+                        {feedback.missedOpportunities.map((item, index) => <li key={index}>{item}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {challengeResult && <ChallengeLeaderboard result={challengeResult} />}
+
+            <div className="pt-4 border-t border-divider">
+                <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Export for Coaching Notes</p>
+                <ExportButtons onExport={onExport} />
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-2 pt-4 border-t border-divider">
                 <button
-                    onClick={() => setIsConfiguring(true)}
-                    className="w-full py-2 mb-2 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
-                    disabled={isLoading}
+                    onClick={onBackToTranscript}
+                    className="flex-1 py-2 bg-surface-hover text-text-primary font-medium rounded-canva shadow-canva-md hover:bg-surface-pressed transition-colors duration-200"
                 >
-                    Start New Scenario
+                    Review Transcript
                 </button>
                 <button
-                    onClick={() => processUserTurn("END_CALL")}
-                    className="w-full py-2 bg-danger hover:bg-danger-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200"
-                    disabled={isFinished || isLoading}
+                    onClick={onNewScenario}
+                    className="flex-1 py-2 bg-primary hover:bg-primary-hover text-white font-medium rounded-canva shadow-canva-md transition-colors duration-200"
                 >
-                    {isFinished ? 'CALL FINISHED' : 'Finish & Get Feedback'}
+                    Start New Scenario
                 </button>
             </div>
         </div>
     );
 };
 
+// --- Progress Analytics (aggregated across saved sessions) ---
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Scores of one step across graded sessions. Custom frameworks can be edited after a call, so steps may be missing.
+const stepScoresOf = (sessions, stepKey) => sessions
+    .map(session => session.feedback?.stepScores[stepKey]?.score)
+    .filter(score => typeof score === 'number');
+
+const groupSessions = (sessions, keyFn, framework) => {
+    const groups = new Map();
+    sessions.forEach(session => {
+        const key = keyFn(session);
+        groups.set(key, [...(groups.get(key) || []), session]);
+    });
+    return [...groups.entries()]
+        .map(([label, group]) => ({
+            label,
+            sessions: group.length,
+            averageSteps: average(group.map(session => Object.values(evidenceToStatus(session.solveEvidence || {}, framework)).filter(Boolean).length)),
+            averageScore: average(group.filter(session => session.feedback).map(session => averageStepScore(session.feedback, frameworkFor(session.scenario)))),
+        }))
+        .sort((a, b) => b.sessions - a.sessions);
+};
+
+// Sessions are compared within one framework; those saved before frameworks existed count as SOLVE.
+const sessionFrameworkId = (session) => frameworkFor(session.scenario).id;
+
+const listSessionFrameworks = (sessions) => {
+    const frameworks = new Map();
+    sessions.forEach(session => frameworks.set(sessionFrameworkId(session), frameworkFor(session.scenario)));
+    return [...frameworks.values()];
+};
+
+const computeAnalytics = (sessions, framework) => {
+    const stepStats = framework.steps.map(step => {
+        const reached = sessions.filter(session => session.solveEvidence?.[step.key]);
+        return {
+            ...step,
+            completionRate: sessions.length > 0 ? reached.length / sessions.length : 0,
+            averageTurns: average(reached.map(session => repTurnsUntil(session.messages, session.solveEvidence[step.key].messageIndex))),
+            averageScore: average(stepScoresOf(sessions, step.key)),
+        };
+    });
+
+    const scoreTrend = sessions
+        .filter(session => session.feedback)
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+        .map(session => ({ date: session.createdAt, score: averageStepScore(session.feedback, frameworkFor(session.scenario)) }));
+
+    // For each rep, the step they miss most often (ties go to the step with the lower average score).
+    const weakestStepByRep = [...new Set(sessions.map(session => session.userId))].map(userId => {
+        const repSessions = sessions.filter(session => session.userId === userId);
+        const misses = framework.steps.map(step => ({
+            step,
+            missRate: repSessions.filter(session => !session.solveEvidence?.[step.key]).length / repSessions.length,
+            averageScore: average(stepScoresOf(repSessions, step.key)) ?? 0,
+        })).sort((a, b) => b.missRate - a.missRate || a.averageScore - b.averageScore);
+        return { userId, sessions: repSessions.length, ...misses[0] };
+    });
+
+    return {
+        totalSessions: sessions.length,
+        finishedSessions: sessions.filter(session => session.status === 'finished').length,
+        stepStats,
+        byPersona: groupSessions(sessions, session => session.scenario?.persona.style || session.scenario?.persona.name || 'Unknown', framework),
+        byIndustry: groupSessions(sessions, session => session.scenario?.industry || 'Unspecified', framework),
+        scoreTrend,
+        weakestStepByRep,
+    };
+};
+
+const HorizontalBar = ({ label, value, max, display }) => (
+    <div>
+        <div className="flex justify-between text-xs mb-1">
+            <span className="text-text-primary font-medium">{label}</span>
+            <span className="text-text-secondary">{display}</span>
+        </div>
+        <div className="w-full h-2 bg-divider rounded-full overflow-hidden">
+            <div className="h-full bg-primary" style={{ width: `${max > 0 ? Math.min(100, (value / max) * 100) : 0}%` }} />
+        </div>
+    </div>
+);
+
+const ScoreTrendChart = ({ points }) => {
+    const width = 600;
+    const height = 160;
+    const padding = 24;
+    const x = (index) => padding + (points.length === 1 ? (width - padding * 2) / 2 : (index / (points.length - 1)) * (width - padding * 2));
+    const y = (score) => height - padding - ((score - 1) / 9) * (height - padding * 2);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40">
+            {[1, 5, 10].map(score => (
+                <g key={score}>
+                    <line x1={padding} x2={width - padding} y1={y(score)} y2={y(score)} stroke="#D1D5DB" strokeDasharray="4 4" />
+                    <text x={4} y={y(score) + 4} fontSize="10" fill="#374151">{score}</text>
+                </g>
+            ))}
+            <polyline
+                fill="none"
+                stroke="#7C3AED"
+                strokeWidth="2"
+                points={points.map((point, index) => `${x(index)},${y(point.score)}`).join(' ')}
+            />
+            {points.map((point, index) => (
+                <circle key={index} cx={x(index)} cy={y(point.score)} r="4" fill="#7C3AED">
+                    <title>{`${new Date(point.date).toLocaleDateString()}: ${point.score.toFixed(1)}/10`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
+
+const GroupTable = ({ title, rows }) => (
+    <div>
+        <p className="text-xs font-semibold uppercase text-text-secondary mb-2">{title}</p>
+        <table className="w-full text-sm">
+            <thead>
+                <tr className="text-left text-xs text-text-secondary border-b border-divider">
+                    <th className="py-1 font-medium">Name</th>
+                    <th className="py-1 font-medium text-right">Sessions</th>
+                    <th className="py-1 font-medium text-right">Avg Steps</th>
+                    <th className="py-1 font-medium text-right">Avg Score</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(row => (
+                    <tr key={row.label} className="border-b border-divider/50">
+                        <td className="py-1 text-text-primary">{row.label}</td>
+                        <td className="py-1 text-right">{row.sessions}</td>
+                        <td className="py-1 text-right">{row.averageSteps?.toFixed(1) ?? '—'}</td>
+                        <td className="py-1 text-right">{row.averageScore?.toFixed(1) ?? '—'}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+const AnalyticsModal = ({ isOpen, onClose }) => {
+    const [sessions, setSessions] = useState(null);
+    // Without a reachable remote store only this browser's own sessions exist, so the view is personal.
+    const [isTeamWide, setIsTeamWide] = useState(false);
+    const [frameworkId, setFrameworkId] = useState(SOLVE_FRAMEWORK.id);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setSessions(null);
+        sessionStore.listTeamSessions()
+            .then(result => {
+                setIsTeamWide(result.isTeamWide);
+                setSessions(result.sessions);
+            })
+            .catch(e => {
+                console.error('Failed to load sessions for analytics:', e);
+                setIsTeamWide(false);
+                setSessions([]);
+            });
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const frameworks = sessions ? listSessionFrameworks(sessions) : [];
+    const framework = frameworks.find(item => item.id === frameworkId) || frameworks[0] || SOLVE_FRAMEWORK;
+    const analytics = sessions
+        ? computeAnalytics(sessions.filter(session => sessionFrameworkId(session) === framework.id), framework)
+        : null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4">
+            <div className="bg-surface rounded-xl shadow-canva-lg max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6 md:p-8 font-sans">
+                <div className="flex justify-between items-center border-b border-divider pb-3 mb-4">
+                    <h3 className="text-2xl font-bold text-primary">{isTeamWide ? 'Team Progress Analytics' : 'Your Progress Analytics'}</h3>
+                    <button onClick={onClose} className="text-text-secondary hover:text-text-primary transition">
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                    </button>
+                </div>
+                {!analytics ? (
+                    <p className="text-text-secondary">Loading sessions...</p>
+                ) : analytics.totalSessions === 0 ? (
+                    <p className="text-text-secondary">No practice sessions yet. Complete a few calls to see your progress.</p>
+                ) : (
+                    <div className="space-y-8">
+                        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                            <p className="text-sm text-text-secondary">
+                                {analytics.totalSessions} {framework.name} session{analytics.totalSessions === 1 ? '' : 's'}, {analytics.finishedSessions} with end-of-call feedback.
+                                {isTeamWide
+                                    ? ' Includes every rep on this team.'
+                                    : ' Only your sessions are included; connect a Firestore project to compare reps across the team.'}
+                            </p>
+                            {frameworks.length > 1 && (
+                                <select
+                                    value={framework.id}
+                                    onChange={(e) => setFrameworkId(e.target.value)}
+                                    aria-label="Framework"
+                                    className="p-2 border border-divider rounded-canva bg-surface-hover text-sm"
+                                >
+                                    {frameworks.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                                </select>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div className="space-y-3">
+                                <p className="text-xs font-semibold uppercase text-text-secondary">Completion Rate per Step</p>
+                                {analytics.stepStats.map(step => (
+                                    <HorizontalBar
+                                        key={step.key}
+                                        label={`${step.key} · ${step.label}`}
+                                        value={step.completionRate}
+                                        max={1}
+                                        display={`${Math.round(step.completionRate * 100)}%`}
+                                    />
+                                ))}
+                            </div>
+                            <div className="space-y-3">
+                                <p className="text-xs font-semibold uppercase text-text-secondary">Average Rep Turns to Reach Step</p>
+                                {analytics.stepStats.map(step => (
+                                    <HorizontalBar
+                                        key={step.key}
+                                        label={`${step.key} · ${step.label}`}
+                                        value={step.averageTurns ?? 0}
+                                        max={Math.max(1, ...analytics.stepStats.map(s => s.averageTurns ?? 0))}
+                                        display={step.averageTurns === null ? 'never reached' : `${step.averageTurns.toFixed(1)} turns`}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <p className="text-xs font-semibold uppercase text-text-secondary mb-2">Score Trend (average {framework.name} score per graded call)</p>
+                            {analytics.scoreTrend.length > 0
+                                ? <ScoreTrendChart points={analytics.scoreTrend} />
+                                : <p className="text-sm text-text-secondary">Finish a call with feedback to start your trend line.</p>}
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <GroupTable title="By Persona" rows={analytics.byPersona} />
+                            <GroupTable title="By Industry" rows={analytics.byIndustry} />
+                        </div>
+
+                        <div>
+                            <p className="text-xs font-semibold uppercase text-text-secondary mb-2">{isTeamWide ? 'Most Often Missed Step by Rep' : 'Your Most Often Missed Step'}</p>
+                            <div className="space-y-2">
+                                {analytics.weakestStepByRep.map(rep => (
+                                    <div key={rep.userId} className="p-3 bg-surface-hover rounded-canva text-sm flex justify-between">
+                                        <span className="text-text-primary">
+                                            {rep.userId === dummyUserId ? 'You' : `Rep ${String(rep.userId).slice(0, 8)}`} ({rep.sessions} session{rep.sessions === 1 ? '' : 's'})
+                                        </span>
+                                        <span className="text-text-secondary">
+                                            <span className="font-semibold text-danger">{rep.step.key} · {rep.step.label}</span> missed in {Math.round(rep.missRate * 100)}% of calls
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
 // --- App Component ---
 const App = () => {
     const [messages, setMessages] = useState([]);
@@ -422,46 +2391,492 @@ const App = () => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [isFinished, setIsFinished] = useState(false);
-    const [solveStatus, setSolveStatus] = useState({ S: false, O: false, L: false, V: false, E: false });
+    const [feedback, setFeedback] = useState(null);
+    const [isShowingResults, setIsShowingResults] = useState(false);
+    const [solveEvidence, setSolveEvidence] = useState(() => emptyEvidenceFor(SOLVE_FRAMEWORK));
+    // Per-stakeholder evidence on committee calls ({ [stakeholderId]: evidence }); null for a single prospect.
+    const [stakeholderEvidence, setStakeholderEvidence] = useState(null);
+    const [highlightedMessageIndex, setHighlightedMessageIndex] = useState(null);
     const [isConfiguring, setIsConfiguring] = useState(true);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [prospectConfig, setProspectConfig] = useState({
         persona: 'Skeptical, Budget-Conscious',
-        industry: 'SEO Consulting (Filtering Low-Value Clients)'
+        industry: 'SEO Consulting (Filtering Low-Value Clients)',
+        scenarioId: null,
+        difficulty: DEFAULT_DIFFICULTY,
+        timer: DEFAULT_CALL_TIMER,
+        committeeSeats: [],
+        frameworkId: SOLVE_FRAMEWORK.id
+    });
+    const [customScenarios, setCustomScenarios] = useState(loadCustomScenarios);
+    const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+    const [customFrameworks, setCustomFrameworks] = useState(loadCustomFrameworks);
+    const [isFrameworkLibraryOpen, setIsFrameworkLibraryOpen] = useState(false);
+    const [challengeError, setChallengeError] = useState(null);
+    // Start offline; the API server's provider list replaces this once it loads.
+    const [providers, setProviders] = useState(LOCAL_PROVIDERS);
+    const [llmConfig, setLlmConfig] = useState({
+        provider: 'mock',
+        model: LOCAL_PROVIDERS.mock.defaultModels[0]
     });
+    // Snapshot of the scenario at start, so edits in the library can't change a call in progress.
+    const [activeScenario, setActiveScenario] = useState(null);
+    // Identity of the persisted session ({ id, createdAt }); null until a call starts.
+    const [sessionMeta, setSessionMeta] = useState(null);
+    const [statusTimeline, setStatusTimeline] = useState([]);
+    const [isReadOnly, setIsReadOnly] = useState(false);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [isAnalyticsOpen, setIsAnalyticsOpen] = useState(false);
+    const [isGradeOpen, setIsGradeOpen] = useState(false);
     const messagesEndRef = useRef(null);
+    const highlightTimeoutRef = useRef(null);
+    // Partial prospect reply while a turn streams in; null when nothing is streaming.
+    const [streamingText, setStreamingText] = useState(null);
+    const abortControllerRef = useRef(null);
+    const [isVoiceMode, setIsVoiceMode] = useState(false);
+    // Private coach hints and automatic nudges ({ id, kind, text, suggestedLine, focusStep, messageIndex }).
+    const [coachHints, setCoachHints] = useState([]);
+    const [isCoachLoading, setIsCoachLoading] = useState(false);
+    const [coachError, setCoachError] = useState(null);
+    const [isAutoNudgeEnabled, setIsAutoNudgeEnabled] = useState(true);
+    // Prospect patience ({ value, lastChange: { delta, reason } }); the prospect hangs up at zero.
+    const [patience, setPatience] = useState(INITIAL_PATIENCE);
+    // Wall-clock time for the call clock; only ticks while a timed call is live.
+    const [clockNow, setClockNow] = useState(() => Date.now());
+    // Seconds already on the call clock, plus when the current live stretch began (ms; null while paused).
+    // The total is saved with the session so a resumed call picks up with the time it had left.
+    const [callClockRun, setCallClockRun] = useState({ bankedSeconds: 0, resumedAt: null });
+    // Alternate versions of this call ({ id, label, forkIndex, ...branch state }). Empty until the rep first
+    // edits an earlier message; the live state above always belongs to activeBranchId.
+    const [branches, setBranches] = useState([]);
+    const [activeBranchId, setActiveBranchId] = useState(null);
+    // The active call keeps the framework it started with; the start screen shows the selected one.
+    const frameworkLibrary = [...BUILT_IN_FRAMEWORKS, ...customFrameworks];
+    const framework = isConfiguring ? resolveFramework(prospectConfig, frameworkLibrary) : frameworkFor(activeScenario);
+    const solveStatus = evidenceToStatus(solveEvidence, framework);
+    const stakeholderStatus = stakeholderEvidence
+        ? Object.fromEntries(Object.entries(stakeholderEvidence).map(([id, evidence]) => [id, evidenceToStatus(evidence, framework)]))
+        : null;
+    const scenarioLibrary = [...BUILT_IN_SCENARIOS, ...customScenarios];
+    // Timed calls only run while the call is live. Leaving or finishing the call pauses the clock, and a
+    // reopened call resumes from the time saved with its last change.
+    const callTimer = callTimerFor(activeScenario?.timer);
+    const isCallLive = !isConfiguring && !isFinished && !isReadOnly;
+    const callClockSecondsAt = (now) => Math.floor(callClockRun.bankedSeconds + (callClockRun.resumedAt ? Math.max(0, now - callClockRun.resumedAt) / 1000 : 0));
+    const callClock = callTimer.seconds ? {
+        elapsedSeconds: callClockSecondsAt(clockNow),
+        limitSeconds: callTimer.seconds,
+        repTurns: messages.filter(msg => msg.role === 'user').length,
+        maxTurns: callTimer.maxTurns,
+    } : null;
+    const isCallClockExpired = !!callClock
+        && (callClock.elapsedSeconds >= callClock.limitSeconds || callClock.repTurns >= callClock.maxTurns);
 
-    const handleStart = () => {
-        // Set initial message
-        const initialText = generateInitialMessage(prospectConfig.persona, prospectConfig.industry);
+    useEffect(() => {
+        saveCustomScenarios(customScenarios);
+    }, [customScenarios]);
+
+    useEffect(() => {
+        saveCustomFrameworks(customFrameworks);
+    }, [customFrameworks]);
+
+    // The prospect stops talking once the call is over or the rep leaves the roleplay.
+    useEffect(() => {
+        if (isConfiguring || isFinished) stopSpeaking();
+    }, [isConfiguring, isFinished]);
+
+    // Ask the API server which providers it has keys for, then move off the offline mock if one is ready.
+    useEffect(() => {
+        fetchProviders().then(available => {
+            setProviders(available);
+            const preferred = pickDefaultProvider(available);
+            setLlmConfig(current => current.provider === 'mock' && preferred !== 'mock'
+                ? { provider: preferred, model: available[preferred].defaultModels[0] }
+                : current);
+        });
+    }, []);
+
+    // Autosave the current call after every change. Reopened finished sessions are never rewritten.
+    useEffect(() => {
+        if (!sessionMeta || isReadOnly) return;
+        sessionStore.saveSession({
+            id: sessionMeta.id,
+            userId: dummyUserId,
+            createdAt: sessionMeta.createdAt,
+            updatedAt: new Date().toISOString(),
+            status: isFinished ? 'finished' : 'in_progress',
+            prospectConfig,
+            scenario: activeScenario,
+            llmConfig,
+            messages,
+            solveEvidence,
+            stakeholderEvidence,
+            statusTimeline,
+            feedback,
+            coachHints,
+            patience,
+            callClockSeconds: callClockSecondsAt(Date.now()),
+            branches: branchesWithLiveState(),
+            activeBranchId,
+        }).catch(e => console.error('Failed to save session:', e));
+    }, [sessionMeta, messages, solveEvidence, stakeholderEvidence, statusTimeline, feedback, isFinished, coachHints, patience, callClockRun, branches, activeBranchId]);
+
+    const handleSaveScenario = (scenario) => {
+        setCustomScenarios(current => current.some(s => s.id === scenario.id)
+            ? current.map(s => (s.id === scenario.id ? scenario : s))
+            : [...current, scenario]);
+    };
+
+    const handleDeleteScenario = (scenarioId) => {
+        setCustomScenarios(current => current.filter(s => s.id !== scenarioId));
+        if (prospectConfig.scenarioId === scenarioId) {
+            setProspectConfig({ ...prospectConfig, scenarioId: null });
+        }
+    };
+
+    const handleImportScenarios = (imported) => {
+        setCustomScenarios(current => {
+            const existingIds = new Set(current.map(s => s.id));
+            // Re-key imports that would overwrite a local scenario with the same id.
+            const incoming = imported.map(s => (existingIds.has(s.id) ? { ...s, id: `custom:${crypto.randomUUID()}` } : s));
+            return [...current, ...incoming];
+        });
+    };
+
+    const handleSaveFramework = (savedFramework) => {
+        setCustomFrameworks(current => current.some(f => f.id === savedFramework.id)
+            ? current.map(f => (f.id === savedFramework.id ? savedFramework : f))
+            : [...current, savedFramework]);
+    };
+
+    const handleDeleteFramework = (frameworkId) => {
+        setCustomFrameworks(current => current.filter(f => f.id !== frameworkId));
+        if (prospectConfig.frameworkId === frameworkId) {
+            setProspectConfig({ ...prospectConfig, frameworkId: SOLVE_FRAMEWORK.id });
+        }
+    };
+
+    // Starts a fresh call from a complete scenario snapshot (difficulty and framework included).
+    const startRoleplay = (scenario) => {
         setMessages([
-            { role: "coach", parts: [{ text: COACH_GUIDE_TEXT }] },
-            { role: "model", parts: [{ text: initialText }] }
+            { role: "coach", parts: [{ text: buildCoachGuideText(scenario.framework) }] },
+            ...generateOpeningMessages(scenario)
         ]);
+        setActiveScenario(scenario);
+        setSessionMeta({ id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+        setStatusTimeline([]);
+        setIsReadOnly(false);
         setIsConfiguring(false);
         setIsFinished(false);
-        setSolveStatus({ S: false, O: false, L: false, V: false, E: false });
+        setFeedback(null);
+        setIsShowingResults(false);
+        setSolveEvidence(emptyEvidenceFor(scenario.framework));
+        setStakeholderEvidence(emptyStakeholderEvidenceFor(scenario));
+        setHighlightedMessageIndex(null);
+        setCoachHints([]);
+        setCoachError(null);
+        setPatience(INITIAL_PATIENCE);
+        setCallClockRun({ bankedSeconds: 0, resumedAt: Date.now() });
+        setClockNow(Date.now());
+        setBranches([]);
+        setActiveBranchId(null);
+        setError(null);
+        setInput('');
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        if (!input.trim() || isLoading || isFinished) return;
+    const handleStart = () => {
+        // Snapshot the framework with the scenario so library edits can't change a call in progress.
+        startRoleplay({
+            ...applyDifficulty(resolveScenario(prospectConfig, scenarioLibrary), prospectConfig.difficulty),
+            timer: prospectConfig.timer,
+            framework: resolveFramework(prospectConfig, frameworkLibrary)
+        });
+    };
 
-        const userMessage = input.trim();
-        setInput('');
+    const handleShareChallenge = () => createChallengeLink({
+        scenario: resolveScenario(prospectConfig, scenarioLibrary),
+        framework: resolveFramework(prospectConfig, frameworkLibrary),
+        difficulty: prospectConfig.difficulty,
+        timer: prospectConfig.timer
+    }, `${window.location.origin}${window.location.pathname}`);
+
+    // Opening a challenge link skips the start screen and drops the rep straight into that roleplay.
+    useEffect(() => {
+        const openChallenge = () => {
+            try {
+                const scenario = parseChallengeLink(window.location.hash);
+                if (!scenario) return;
+                setChallengeError(null);
+                setProspectConfig(current => ({ ...current, difficulty: scenario.difficulty, timer: scenario.timer }));
+                startRoleplay(scenario);
+            } catch (e) {
+                setChallengeError(e.message);
+                setIsConfiguring(true);
+            }
+            // Drop the hash so a reload doesn't restart the challenge over the saved call.
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        };
+        openChallenge();
+        window.addEventListener('hashchange', openChallenge);
+        return () => window.removeEventListener('hashchange', openChallenge);
+    }, []);
+
+    // Sends one rep message on top of the given branch state ({ messages, solveEvidence, stakeholderEvidence,
+    // patience }). That is the live state for a normal turn, or the rewound state when the rep edits an earlier message.
+    const sendRepMessage = async (userMessage, { messages, solveEvidence, stakeholderEvidence, patience }) => {
+        const solveStatus = evidenceToStatus(solveEvidence, framework);
         setError(null);
 
-        const newMessages = [...messages, { role: 'user', parts: [{ text: userMessage }] }];
+        const repAt = new Date().toISOString();
+        const newMessages = [...messages, { role: 'user', parts: [{ text: userMessage }], at: repAt }];
         setMessages(newMessages);
+        if (isAutoNudgeEnabled) {
+            const nudges = detectCoachNudges(messages, userMessage, solveStatus, framework);
+            if (nudges.length > 0) {
+                setCoachHints(current => [...current, ...nudges.map(nudge => ({
+                    id: crypto.randomUUID(),
+                    kind: 'nudge',
+                    suggestedLine: '',
+                    messageIndex: newMessages.length - 1,
+                    ...nudge
+                }))]);
+            }
+        }
         setIsLoading(true);
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        // Set when this turn exhausts the prospect's patience; grading starts once the turn has settled.
+        let hungUpMessages = null;
+
+        try {
+            const turn = await playRepTurn(llmConfig, {
+                scenario: activeScenario,
+                messages,
+                solveEvidence,
+                stakeholderEvidence,
+                patience,
+                repText: userMessage,
+                repAt,
+                onText: setStreamingText,
+                signal: abortController.signal
+            });
+            setSolveEvidence(turn.solveEvidence);
+            setStakeholderEvidence(turn.stakeholderEvidence);
+            setPatience(turn.patience);
+            // Patience is recorded per turn so a rewind can restore it along with the tracker.
+            setStatusTimeline(current => [...current, {
+                messageIndex: newMessages.length - 1,
+                at: new Date().toISOString(),
+                status: evidenceToStatus(turn.solveEvidence, framework),
+                patience: turn.patience
+            }]);
+
+            setMessages(turn.messages);
+            // The prospect speaks their reply, plus the hang-up line when they end the call.
+            if (isVoiceMode) {
+                const replies = turn.messages.slice(newMessages.length);
+                speakAsProspect(replies.map(msg => msg.parts[0].text).join(' '), activeScenario, replies[0]?.speaker);
+            }
+            if (turn.hungUp) hungUpMessages = turn.messages;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Drop the unanswered turn and hand the text back so the rep can edit and resend it.
+                setMessages(messages);
+                setInput(userMessage);
+                setCoachHints(current => current.filter(hint => hint.messageIndex !== newMessages.length - 1));
+            } else {
+                console.error('Error:', error);
+                setError(describeModelError(error, 'turn'));
+            }
+        } finally {
+            abortControllerRef.current = null;
+            setStreamingText(null);
+            setIsLoading(false);
+        }
+
+        if (hungUpMessages) finishCall(hungUpMessages);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!input.trim() || isLoading || isFinished || patience.value <= 0 || isCallClockExpired) return;
+        const userMessage = input.trim();
+        setInput('');
+        sendRepMessage(userMessage, { messages, solveEvidence, stakeholderEvidence, patience });
+    };
+
+    // Re-runs whatever failed: the unanswered rep turn (resent as-is) or the end-of-call grading.
+    const handleRetry = () => {
+        if (isLoading || !error) return;
+        if (error.retryAction === 'grade') {
+            finishCall(messages);
+            return;
+        }
+        const lastIndex = messages.length - 1;
+        if (messages[lastIndex]?.role !== 'user') return;
+        // Nudges for the turn are raised again when it is resent.
+        setCoachHints(current => current.filter(hint => hint.messageIndex !== lastIndex));
+        sendRepMessage(messages[lastIndex].parts[0].text, { messages: messages.slice(0, -1), solveEvidence, stakeholderEvidence, patience });
+    };
+
+    const liveBranchState = () => ({ messages, solveEvidence, stakeholderEvidence, statusTimeline, coachHints, patience, feedback, isFinished });
+
+    const loadBranchState = (branch) => {
+        stopSpeaking();
+        setMessages(branch.messages);
+        setSolveEvidence(branch.solveEvidence);
+        setStakeholderEvidence(branch.stakeholderEvidence || null);
+        setStatusTimeline(branch.statusTimeline);
+        setCoachHints(branch.coachHints);
+        setPatience(branch.patience);
+        setFeedback(branch.feedback);
+        setIsFinished(branch.isFinished);
+        setIsShowingResults(false);
+        setHighlightedMessageIndex(null);
+        setError(null);
+    };
+
+    // Branch snapshots only go stale for the branch being played, so fold the live state back in first.
+    const branchesWithLiveState = () => branches.map(branch => (branch.id === activeBranchId ? { ...branch, ...liveBranchState() } : branch));
+
+    // Rewinds to the rep message at messageIndex, replaces it with editedText and replays from there on a
+    // new branch. The branch being left is kept as it was. Finished, hung-up and timed-out calls stay as
+    // they ended, since a rewind would restore patience but not the call clock.
+    const handleEditMessage = (messageIndex, editedText) => {
+        if (isLoading || isReadOnly || activeScenario?.challenge || isFinished || patience.value <= 0 || isCallClockExpired || !editedText.trim()) return;
+        const existing = branches.length > 0
+            ? branchesWithLiveState()
+            : [{ id: crypto.randomUUID(), label: 'Original', forkIndex: null, ...liveBranchState() }];
+        const rewound = rewindBranchState(liveBranchState(), messageIndex, framework);
+        const branch = { id: crypto.randomUUID(), label: `Branch ${existing.length + 1}`, forkIndex: messageIndex, ...rewound };
+        setBranches([...existing, branch]);
+        setActiveBranchId(branch.id);
+        loadBranchState(rewound);
+        setInput('');
+        sendRepMessage(editedText.trim(), rewound);
+    };
+
+    const handleSwitchBranch = (branchId) => {
+        if (isLoading || branchId === activeBranchId) return;
+        const saved = branchesWithLiveState();
+        setBranches(saved);
+        setActiveBranchId(branchId);
+        loadBranchState(saved.find(branch => branch.id === branchId));
+    };
+
+    const handleCancel = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    // Turning voice mode on reads out the prospect's latest line so the rep can pick up the call by ear.
+    const handleToggleVoiceMode = (enabled) => {
+        setIsVoiceMode(enabled);
+        if (!enabled) {
+            stopSpeaking();
+            return;
+        }
+        const lastProspectMessage = [...messages].reverse().find(message => message.role === 'model');
+        if (lastProspectMessage && !isFinished) speakAsProspect(lastProspectMessage.parts[0].text, activeScenario, lastProspectMessage.speaker);
+    };
+
+    // Restores a saved session. Unfinished calls continue where they left off; finished ones open read-only.
+    const handleOpenSession = (session) => {
+        const isSessionFinished = session.status === 'finished';
+        setSessionMeta({ id: session.id, createdAt: session.createdAt });
+        setIsReadOnly(isSessionFinished);
+        setProspectConfig({ difficulty: DEFAULT_DIFFICULTY, timer: DEFAULT_CALL_TIMER, committeeSeats: [], ...session.prospectConfig });
+        setActiveScenario(session.scenario);
+        if (providers[session.llmConfig?.provider]) setLlmConfig(session.llmConfig);
+        setMessages(session.messages);
+        setSolveEvidence(mergeSolveEvidence(session.solveEvidence || {}, {}, null, null, frameworkFor(session.scenario)));
+        setStakeholderEvidence(session.stakeholderEvidence || emptyStakeholderEvidenceFor(session.scenario));
+        setStatusTimeline(session.statusTimeline || []);
+        setCoachHints(session.coachHints || []);
+        setPatience(session.patience || INITIAL_PATIENCE);
+        setCallClockRun({
+            bankedSeconds: session.callClockSeconds ?? secondsBetweenMessages(session.messages),
+            resumedAt: isSessionFinished ? null : Date.now()
+        });
+        setClockNow(Date.now());
+        setBranches(session.branches || []);
+        setActiveBranchId(session.activeBranchId || null);
+        setCoachError(null);
+        setFeedback(session.feedback || null);
+        setIsFinished(isSessionFinished);
+        setIsShowingResults(isSessionFinished && !!session.feedback);
+        setHighlightedMessageIndex(null);
+        setError(null);
+        setInput('');
+        setIsConfiguring(false);
+    };
+
+    const handleExport = (format) => {
+        exportTranscript(buildTranscriptExport({ scenario: activeScenario, prospectConfig, messages, solveEvidence, stakeholderEvidence, feedback }), format);
+    };
+
+    // Grades an imported transcript, saves it as a finished session and opens its scorecard.
+    const handleGradeTranscript = async ({ messages: importedMessages, scenario, prospectConfig: importedConfig }) => {
+        const gradedFramework = resolveFramework(prospectConfig, frameworkLibrary);
+        const gradedScenario = { ...(scenario || IMPORTED_CALL_SCENARIO), framework: gradedFramework };
+        const gradedFeedback = await gradeCall(llmConfig, importedMessages, gradedScenario);
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            userId: dummyUserId,
+            createdAt: now,
+            updatedAt: now,
+            status: 'finished',
+            source: 'import',
+            prospectConfig: importedConfig || prospectConfig,
+            scenario: gradedScenario,
+            llmConfig,
+            messages: importedMessages,
+            solveEvidence: evidenceFromFeedback(gradedFeedback, importedMessages, gradedFramework),
+            statusTimeline: [],
+            feedback: gradedFeedback,
+        };
+        await sessionStore.saveSession(session);
+        handleOpenSession(session);
+    };
+
+    // Scrolls to the rep message that completed a step and briefly highlights it.
+    const handleHighlightMessage = (messageIndex) => {
+        setIsShowingResults(false);
+        setHighlightedMessageIndex(messageIndex);
+        clearTimeout(highlightTimeoutRef.current);
+        highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageIndex(null), 2500);
+    };
+
+    const handleSelectStep = (stepKey) => {
+        const evidence = solveEvidence[stepKey];
+        if (evidence) handleHighlightMessage(evidence.messageIndex);
+    };
+
+    const handleAskCoach = async () => {
+        setIsCoachLoading(true);
+        setCoachError(null);
+        try {
+            const hint = await requestCoachHint(llmConfig, messages, { solveStatus, stakeholderStatus, scenario: activeScenario });
+            setCoachHints(current => [...current, { id: crypto.randomUUID(), kind: 'hint', messageIndex: null, ...hint }]);
+        } catch (error) {
+            console.error('Coach error:', error);
+            setCoachError(`The coach couldn't answer: ${describeModelError(error).message}`);
+        } finally {
+            setIsCoachLoading(false);
+        }
+    };
 
+    // Grades the call and shows the scorecard. Runs when the rep clicks Finish or the prospect hangs up.
+    const finishCall = async (history) => {
+        setIsLoading(true);
+        setError(null);
         try {
-            const response = await callClaude(newMessages);
-            setMessages([...newMessages, { role: 'model', parts: [{ text: response.text }] }]);
-            setSolveStatus(response.status);
+            setFeedback(await gradeCall(llmConfig, history, activeScenario));
+            setIsFinished(true);
+            setIsShowingResults(true);
         } catch (error) {
             console.error('Error:', error);
-            setError(error.message);
+            setError(describeModelError(error, 'grade'));
         } finally {
             setIsLoading(false);
         }
@@ -469,24 +2884,35 @@ const App = () => {
 
     const processUserTurn = async (action) => {
         if (action === "END_CALL") {
-            setIsLoading(true);
-            setError(null);
-            try {
-                const response = await callClaude(messages, null, true);
-                setMessages([...messages, { role: 'model', parts: [{ text: response.text }] }]);
-                setIsFinished(true);
-            } catch (error) {
-                console.error('Error:', error);
-                setError(error.message);
-            } finally {
-                setIsLoading(false);
-            }
+            await finishCall(messages);
         }
     };
 
+    // Banks the running stretch when the call stops being live and starts a new one when it resumes.
+    useEffect(() => {
+        setCallClockRun(run => {
+            if (isCallLive && !run.resumedAt) return { ...run, resumedAt: Date.now() };
+            if (!isCallLive && run.resumedAt) return { bankedSeconds: run.bankedSeconds + Math.max(0, Date.now() - run.resumedAt) / 1000, resumedAt: null };
+            return run;
+        });
+    }, [isCallLive]);
+
+    useEffect(() => {
+        if (!isCallLive || !callTimer.seconds) return;
+        const interval = setInterval(() => setClockNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [isCallLive, callTimer.seconds]);
+
+    // Out of time or turns: the call is graded as it stands once the prospect has answered. A failed grade
+    // waits for the rep's retry instead of looping.
+    useEffect(() => {
+        if (!isCallClockExpired || !isCallLive || isLoading || error?.retryAction === 'grade') return;
+        finishCall(messages);
+    }, [isCallClockExpired, isCallLive, isLoading]);
+
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    }, [messages, streamingText]);
 
     return (
         <div className="min-h-screen bg-surface-subtle p-4 font-sans">
@@ -494,31 +2920,121 @@ const App = () => {
                 <StartConfig
                     prospectConfig={prospectConfig}
                     setProspectConfig={setProspectConfig}
+                    scenarioLibrary={scenarioLibrary}
+                    frameworkLibrary={frameworkLibrary}
+                    providers={providers}
+                    llmConfig={llmConfig}
+                    setLlmConfig={setLlmConfig}
                     onStart={handleStart}
+                    onShareChallenge={handleShareChallenge}
+                    challengeError={challengeError}
                     setIsModalOpen={setIsModalOpen}
+                    setIsLibraryOpen={setIsLibraryOpen}
+                    setIsFrameworkLibraryOpen={setIsFrameworkLibraryOpen}
+                    setIsHistoryOpen={setIsHistoryOpen}
+                    setIsAnalyticsOpen={setIsAnalyticsOpen}
+                    setIsGradeOpen={setIsGradeOpen}
+                />
+            ) : isShowingResults && feedback ? (
+                <ScorecardView
+                    feedback={feedback}
+                    solveStatus={solveStatus}
+                    stakeholderStatus={stakeholderStatus}
+                    scenario={activeScenario}
+                    metrics={computeCallMetrics(messages, framework)}
+                    prospectHungUp={patience.value <= 0}
+                    challengeResult={activeScenario?.challenge
+                        ? buildChallengeResult({ scenario: activeScenario, messages, solveEvidence, feedback })
+                        : null}
+                    onBackToTranscript={() => setIsShowingResults(false)}
+                    onNewScenario={() => setIsConfiguring(true)}
+                    onExport={handleExport}
                 />
             ) : (
                 <div className="max-w-7xl mx-auto h-[90vh] flex flex-col lg:flex-row gap-4">
                     <ChatPanel
                         messages={messages}
+                        stakeholders={isCommitteeCall(activeScenario) ? stakeholdersFor(activeScenario) : null}
+                        branches={branches}
+                        activeBranchId={activeBranchId}
+                        onSwitchBranch={handleSwitchBranch}
+                        // Challenge calls can't be rewound, so every rep's result comes from one unedited run.
+                        onEditMessage={isReadOnly || activeScenario?.challenge ? null : handleEditMessage}
                         input={input}
                         setInput={setInput}
                         isLoading={isLoading}
                         error={error}
+                        onRetry={isReadOnly ? null : handleRetry}
                         handleSubmit={handleSubmit}
                         messagesEndRef={messagesEndRef}
-                        isFinished={isFinished}
+                        isFinished={isFinished || isReadOnly || patience.value <= 0 || isCallClockExpired}
+                        highlightedMessageIndex={highlightedMessageIndex}
+                        streamingText={streamingText}
+                        onCancel={abortControllerRef.current ? handleCancel : null}
+                        isVoiceMode={isVoiceMode}
+                        onToggleVoiceMode={handleToggleVoiceMode}
                     />
                     <ProgressPanel
+                        framework={framework}
                         solveStatus={solveStatus}
+                        solveEvidence={solveEvidence}
+                        stakeholders={isCommitteeCall(activeScenario) ? stakeholdersFor(activeScenario) : null}
+                        stakeholderStatus={stakeholderStatus}
+                        patience={patience}
+                        difficulty={activeScenario?.difficulty}
+                        callClock={callClock}
+                        onSelectStep={handleSelectStep}
                         setIsConfiguring={setIsConfiguring}
                         processUserTurn={processUserTurn}
                         isLoading={isLoading}
                         isFinished={isFinished}
+                        hasFeedback={!!feedback}
+                        onViewResults={() => setIsShowingResults(true)}
+                        onExport={handleExport}
+                    />
+                    <CoachPanel
+                        hints={coachHints}
+                        framework={framework}
+                        onAskCoach={handleAskCoach}
+                        isCoachLoading={isCoachLoading}
+                        coachError={coachError}
+                        isAutoNudgeEnabled={isAutoNudgeEnabled}
+                        setIsAutoNudgeEnabled={setIsAutoNudgeEnabled}
+                        isLoading={isLoading}
+                        isFinished={isFinished}
+                        onSelectMessage={handleHighlightMessage}
                     />
                 </div>
             )}
-            <SolveGuideModal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} />
+            <FrameworkGuideModal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} framework={framework} />
+            <SessionHistoryModal
+                isOpen={isHistoryOpen}
+                onClose={() => setIsHistoryOpen(false)}
+                onOpenSession={handleOpenSession}
+            />
+            <GradeTranscriptModal
+                isOpen={isGradeOpen}
+                onClose={() => setIsGradeOpen(false)}
+                onGrade={handleGradeTranscript}
+            />
+            <AnalyticsModal isOpen={isAnalyticsOpen} onClose={() => setIsAnalyticsOpen(false)} />
+            <ScenarioLibraryModal
+                isOpen={isLibraryOpen}
+                onClose={() => setIsLibraryOpen(false)}
+                scenarios={scenarioLibrary}
+                onSave={handleSaveScenario}
+                onDelete={handleDeleteScenario}
+                onImport={handleImportScenarios}
+                onSelect={(scenarioId) => setProspectConfig({ ...prospectConfig, scenarioId })}
+            />
+            <FrameworkLibraryModal
+                isOpen={isFrameworkLibraryOpen}
+                onClose={() => setIsFrameworkLibraryOpen(false)}
+                frameworks={frameworkLibrary}
+                onSave={handleSaveFramework}
+                onDelete={handleDeleteFramework}
+                onSelect={(frameworkId) => setProspectConfig({ ...prospectConfig, frameworkId })}
+            />
         </div>
     );
 };
@@ -0,0 +1,91 @@
+// Shared challenge links. A challenge link hands every rep the same roleplay. Built-in scenarios and
+// frameworks travel by name; custom ones are embedded whole so the link works on any machine. The seed is
+// passed to vendors that support seeded sampling, and the challenge id groups results on the leaderboard.
+// Like roleplay.js, nothing here touches the DOM, so links can be built and checked under Node.
+
+import {
+    BUILT_IN_FRAMEWORKS, CALL_TIMERS, DEFAULT_CALL_TIMER, INDUSTRY_PROFILES, PERSONA_PROFILES, applyDifficulty,
+    averageStepScore, evidenceToStatus, frameworkFor, normalizeFramework, normalizeScenario, repTurnsUntil,
+    scenarioFromProfiles
+} from './roleplay.js';
+
+const CHALLENGE_LINK_VERSION = 1;
+const CHALLENGE_HASH_PREFIX = '#challenge=';
+
+const toBase64Url = (text) => {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Builds a challenge link for the given scenario, framework, difficulty and call timer. pageUrl is the
+ * app's address without a hash (origin plus path); each link gets a fresh challenge id and seed.
+ */
+export const createChallengeLink = ({ scenario, framework, difficulty, timer }, pageUrl) => {
+    const challenge = {
+        v: CHALLENGE_LINK_VERSION,
+        id: crypto.randomUUID(),
+        seed: crypto.getRandomValues(new Uint32Array(1))[0],
+        difficulty,
+        timer,
+        ...(scenario.builtIn ? {
+            persona: scenario.persona.style,
+            industry: scenario.industry,
+            ...(scenario.committee ? { committeeSeats: scenario.committee.map(({ seat, style }) => ({ seat, persona: style })) } : {}),
+        } : { scenario }),
+        ...(framework.builtIn ? { frameworkId: framework.id } : { framework }),
+    };
+    return `${pageUrl}${CHALLENGE_HASH_PREFIX}${toBase64Url(JSON.stringify(challenge))}`;
+};
+
+// Turns a location hash into a ready-to-play scenario snapshot, or null if the hash isn't a challenge.
+export const parseChallengeLink = (hash) => {
+    if (!hash.startsWith(CHALLENGE_HASH_PREFIX)) return null;
+    const invalid = new Error('This challenge link is incomplete or was made by a different version of the app. Ask for a fresh link.');
+    let data;
+    try {
+        data = JSON.parse(fromBase64Url(hash.slice(CHALLENGE_HASH_PREFIX.length)));
+    } catch (e) {
+        throw invalid;
+    }
+    if (data?.v !== CHALLENGE_LINK_VERSION || typeof data.id !== 'string' || !data.id) throw invalid;
+
+    const scenario = data.scenario
+        ? normalizeScenario(data.scenario)
+        : PERSONA_PROFILES[data.persona] && INDUSTRY_PROFILES[data.industry]
+            ? scenarioFromProfiles(data.persona, data.industry, Array.isArray(data.committeeSeats) ? data.committeeSeats : [])
+            : null;
+    const framework = data.framework
+        ? normalizeFramework(data.framework)
+        : BUILT_IN_FRAMEWORKS.find(item => item.id === data.frameworkId);
+    if (!scenario || !framework) throw invalid;
+
+    return {
+        ...applyDifficulty(scenario, data.difficulty),
+        timer: CALL_TIMERS[data.timer] ? data.timer : DEFAULT_CALL_TIMER,
+        framework,
+        challenge: { id: data.id.slice(0, 64), seed: Number.isSafeInteger(data.seed) ? data.seed : null },
+    };
+};
+
+// The leaderboard row for a finished challenge call. Turns to close counts the rep turns it took to land
+// the framework's close step; frameworks without one (SPIN, BANT, MEDDIC) report null so the tiebreak
+// never ranks reps on an unrelated step.
+export const buildChallengeResult = ({ scenario, messages, solveEvidence, feedback }) => {
+    const framework = frameworkFor(scenario);
+    const closeEvidence = framework.closeStep ? solveEvidence[framework.closeStep] : null;
+    return {
+        challengeId: scenario.challenge.id,
+        score: averageStepScore(feedback, framework),
+        stepsCompleted: Object.values(evidenceToStatus(solveEvidence, framework)).filter(Boolean).length,
+        totalSteps: framework.steps.length,
+        turnsToClose: closeEvidence ? repTurnsUntil(messages, closeEvidence.messageIndex) : null,
+        repTurns: messages.filter(msg => msg.role === 'user').length,
+    };
+};
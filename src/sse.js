@@ -0,0 +1,20 @@
+// Reads a server-sent events body and hands each JSON "data:" payload to onEvent. Shared by the browser
+// (streaming replies from the API server) and the API server (streaming replies from the vendors).
+export const readEventStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) return;
+            const data = trimmed.slice(5).trim();
+            if (data && data !== '[DONE]') onEvent(JSON.parse(data));
+        });
+    }
+};
@@ -0,0 +1,150 @@
+// Transcript export and import. A call is exported as JSON (which the app can load back for grading),
+// Markdown or a printable HTML report, and pasted "Speaker: text" transcripts of real calls are split into
+// turns. Like roleplay.js, nothing here touches the DOM, so files can be built and read under Node.
+
+import {
+    COACH_ROLE_NAME, evidenceToStatus, frameworkFor, isCommitteeCall, normalizeScenario, stakeholdersFor
+} from './roleplay.js';
+
+const TRANSCRIPT_EXPORT_VERSION = 1;
+
+const speakerLabel = (message, scenario) => {
+    if (message.role === 'user') return 'Rep';
+    if (message.role === 'coach') return COACH_ROLE_NAME;
+    return stakeholdersFor(scenario).find(stakeholder => stakeholder.id === message.speaker)?.name || scenario?.persona.name || 'Prospect';
+};
+
+export const buildTranscriptExport = ({ scenario, prospectConfig, messages, solveEvidence, stakeholderEvidence, feedback }) => ({
+    version: TRANSCRIPT_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    scenario,
+    prospectConfig,
+    messages: messages.filter(msg => msg.role !== 'coach'),
+    solveStatus: evidenceToStatus(solveEvidence, frameworkFor(scenario)),
+    solveEvidence,
+    ...(stakeholderEvidence ? { stakeholderEvidence } : {}),
+    feedback,
+});
+
+export const transcriptToMarkdown = (data) => {
+    const framework = frameworkFor(data.scenario);
+    const lines = [
+        `# Practice Call: ${data.scenario?.title || 'Untitled'}`,
+        '',
+        isCommitteeCall(data.scenario)
+            ? `- **Buying committee${data.scenario.company.name ? ` at ${data.scenario.company.name}` : ''}:** ${stakeholdersFor(data.scenario).map(stakeholder => [stakeholder.name, stakeholder.role].filter(Boolean).join(', ')).join('; ')}`
+            : `- **Prospect:** ${[data.scenario?.persona.name, data.scenario?.persona.role, data.scenario?.company.name].filter(Boolean).join(', ') || 'Unknown'}`,
+        data.scenario?.product.name ? `- **Product:** ${data.scenario.product.name}${data.scenario.product.price ? ` (${data.scenario.product.price})` : ''}` : null,
+        `- **Exported:** ${new Date(data.exportedAt).toLocaleString()}`,
+        '',
+        `## ${framework.name} Status`,
+        '',
+        ...framework.steps.map(step => {
+            const evidence = data.solveEvidence?.[step.key];
+            return `- [${evidence ? 'x' : ' '}] **${step.key} · ${step.label}**${evidence ? ` — ${evidence.justification}` : ''}`;
+        }),
+    ];
+
+    if (data.feedback) {
+        lines.push('', '## Scorecard', '', `**Verdict:** ${data.feedback.overallVerdict || '—'}`, '');
+        framework.steps.forEach(step => {
+            const { score, comment, evidence } = data.feedback.stepScores[step.key];
+            lines.push(`- **${step.label}: ${score}/10** ${comment}`);
+            evidence.forEach(quote => lines.push(`  > ${quote}`));
+        });
+        if (data.feedback.missedOpportunities.length > 0) {
+            lines.push('', '### Missed Opportunities', '', ...data.feedback.missedOpportunities.map(item => `- ${item}`));
+        }
+    }
+
+    lines.push('', '## Transcript', '');
+    data.messages.forEach(message => lines.push(`**${speakerLabel(message, data.scenario)}:** ${message.parts[0].text}`, ''));
+    return lines.filter(line => line !== null).join('\n');
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const transcriptToHtmlReport = (data) => {
+    const title = escapeHtml(data.scenario?.title || 'Practice Call');
+    const framework = frameworkFor(data.scenario);
+    const stepRows = framework.steps.map(step => {
+        const evidence = data.solveEvidence?.[step.key];
+        const score = data.feedback?.stepScores[step.key];
+        return `<tr><td><strong>${step.key}</strong> ${escapeHtml(step.label)}</td><td>${evidence ? 'Completed' : 'Not reached'}</td><td>${score ? `${score.score}/10` : '—'}</td><td>${escapeHtml(score?.comment || evidence?.justification || '')}</td></tr>`;
+    }).join('');
+    const transcript = data.messages.map(message => `<div class="turn ${message.role === 'user' ? 'rep' : 'prospect'}"><span>${escapeHtml(speakerLabel(message, data.scenario))}</span><p>${escapeHtml(message.parts[0].text)}</p></div>`).join('');
+    const feedbackHtml = data.feedback ? `
+        <h2>Coach Verdict</h2>
+        <p>${escapeHtml(data.feedback.overallVerdict)}</p>
+        ${data.feedback.missedOpportunities.length > 0 ? `<h3>Missed Opportunities</h3><ul>${data.feedback.missedOpportunities.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${title}</title>
+<style>
+    body { font-family: Inter, system-ui, sans-serif; color: #0F172A; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    h1, h2 { color: #7C3AED; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    td { border-bottom: 1px solid #D1D5DB; padding: 0.4rem; vertical-align: top; }
+    .turn { margin: 0.75rem 0; page-break-inside: avoid; }
+    .turn span { font-size: 0.75rem; font-weight: 600; color: #374151; text-transform: uppercase; }
+    .turn p { margin: 0.2rem 0 0; white-space: pre-wrap; }
+    .rep p { border-left: 3px solid #7C3AED; padding-left: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>${escapeHtml([data.scenario?.persona.name, data.scenario?.company.name].filter(Boolean).join(' · '))} — exported ${escapeHtml(new Date(data.exportedAt).toLocaleString())}</p>
+<h2>${escapeHtml(framework.name)} Summary</h2>
+<table>${stepRows}</table>
+${feedbackHtml}
+<h2>Transcript</h2>
+${transcript}
+</body>
+</html>`;
+};
+
+// Splits a pasted transcript into speaker turns. A line like "Name: text" starts a new turn;
+// other non-empty lines continue the current one.
+export const parsePastedTranscript = (text) => {
+    const turns = [];
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        // Speaker names may use any script, e.g. "Zoë" or "José".
+        const match = trimmed.match(/^(?:\[[^\]]*\]\s*)?(\p{L}[\p{L}\p{N}_ .'-]{0,40}?)\s*:\s*(.*)$/u);
+        if (match) {
+            turns.push({ speaker: match[1].trim(), text: match[2] });
+        } else if (turns.length > 0) {
+            turns[turns.length - 1].text += `${turns[turns.length - 1].text ? ' ' : ''}${trimmed}`;
+        }
+    });
+    return turns.filter(turn => turn.text.trim());
+};
+
+export const turnsToMessages = (turns, repSpeaker) => turns.map(turn => ({
+    role: turn.speaker === repSpeaker ? 'user' : 'model',
+    parts: [{ text: turn.text.trim() }],
+}));
+
+// Reads an exported transcript back into the pieces a session needs.
+export const parseTranscriptExport = (jsonText) => {
+    const data = JSON.parse(jsonText);
+    const messages = Array.isArray(data?.messages)
+        ? data.messages.filter(msg => (msg?.role === 'user' || msg?.role === 'model') && typeof msg.parts?.[0]?.text === 'string')
+        : [];
+    if (!messages.some(msg => msg.role === 'user')) {
+        throw new Error('The file has no rep messages. Expected a transcript exported from this app.');
+    }
+    return {
+        messages,
+        scenario: normalizeScenario(data.scenario),
+        prospectConfig: data.prospectConfig || null,
+    };
+};
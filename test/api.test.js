@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createApiHandler, createRateLimiter, validateLeaderboardEntry } from '../server/api.js';
+
+// Runs the API middleware on an ephemeral port for one test and closes it afterwards.
+const withApiServer = async (env, run) => {
+    const handleApi = createApiHandler({ env, log: () => {} });
+    const server = createServer((req, res) => handleApi(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+test('createRateLimiter allows max requests per window, then reports when to retry', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({ max: 2, windowMs: 10000 });
+
+    assert.equal(limiter('a').allowed, true);
+    assert.equal(limiter('a').allowed, true);
+    now += 4000;
+    assert.deepEqual(limiter('a'), { allowed: false, retryAfter: 6 });
+});
+
+test('createRateLimiter keeps a separate window per key', (t) => {
+    t.mock.method(Date, 'now', () => 1000);
+    const limiter = createRateLimiter({ max: 1, windowMs: 10000 });
+
+    assert.equal(limiter('a').allowed, true);
+    assert.equal(limiter('a').allowed, false);
+    assert.equal(limiter('b').allowed, true);
+});
+
+test('createRateLimiter starts a fresh window once the old one expires', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({ max: 1, windowMs: 10000 });
+
+    limiter('a');
+    assert.equal(limiter('a').allowed, false);
+    now += 10000;
+    assert.equal(limiter('a').allowed, true);
+});
+
+test('the API throttles callers without a rep cookie by client address, whatever x-user-id they send', async () => {
+    await withApiServer({ RATE_LIMIT_MAX: '2', RATE_LIMIT_WINDOW_MS: '60000' }, async (baseUrl) => {
+        const statuses = [];
+        for (const userId of ['rep-1', 'rep-2', 'rep-3']) {
+            const res = await fetch(`${baseUrl}/api/providers`, { headers: { 'X-User-Id': userId } });
+            await res.arrayBuffer();
+            statuses.push(res.status);
+        }
+        assert.deepEqual(statuses, [200, 200, 429]);
+    });
+});
+
+test('the API gives each rep with a verified cookie their own window on a shared address', async () => {
+    await withApiServer({ RATE_LIMIT_MAX: '2', RATE_LIMIT_WINDOW_MS: '60000' }, async (baseUrl) => {
+        const request = async (cookie) => {
+            const res = await fetch(`${baseUrl}/api/providers`, { headers: cookie ? { Cookie: cookie } : {} });
+            await res.arrayBuffer();
+            return { status: res.status, cookie: res.headers.get('set-cookie')?.split(';')[0] };
+        };
+        const first = await request();
+        const second = await request();
+        assert.equal((await request()).status, 429);
+
+        const firstRep = [await request(first.cookie), await request(first.cookie), await request(first.cookie)];
+        assert.deepEqual(firstRep.map(res => res.status), [200, 200, 429]);
+        assert.equal((await request(second.cookie)).status, 200);
+        assert.equal((await request(`${first.cookie.split('.')[0]}.forged`)).status, 429);
+    });
+});
+
+const VALID_RESULT = { challengeId: 'challenge-1', name: '  Dana  ', score: 7.46, stepsCompleted: 4, totalSteps: 5, turnsToClose: 6, repTurns: 8 };
+
+test('validateLeaderboardEntry returns a trimmed, rounded row for the given user', () => {
+    const entry = validateLeaderboardEntry(VALID_RESULT, 'rep-1');
+    assert.equal(entry.userId, 'rep-1');
+    assert.equal(entry.name, 'Dana');
+    assert.equal(entry.score, 7.5);
+    assert.equal(entry.turnsToClose, 6);
+    assert.ok(!Number.isNaN(Date.parse(entry.submittedAt)));
+});
+
+test('validateLeaderboardEntry accepts a call that never closed', () => {
+    assert.equal(validateLeaderboardEntry({ ...VALID_RESULT, turnsToClose: null }, 'rep-1').turnsToClose, null);
+});
+
+test('validateLeaderboardEntry rejects malformed results with a 400', () => {
+    const invalid = [
+        { challengeId: '' },
+        { challengeId: 'x'.repeat(65) },
+        { name: '   ' },
+        { name: 'n'.repeat(41) },
+        { score: 11 },
+        { score: '9' },
+        { stepsCompleted: 6 },
+        { totalSteps: 2.5 },
+        { repTurns: -1 },
+        { turnsToClose: 9 },
+        { turnsToClose: undefined },
+    ];
+    invalid.forEach(change => {
+        assert.throws(() => validateLeaderboardEntry({ ...VALID_RESULT, ...change }, 'rep-1'), { status: 400 }, JSON.stringify(change));
+    });
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChallengeResult, createChallengeLink, parseChallengeLink } from '../src/challenge.js';
+import { BUILT_IN_FRAMEWORKS, SOLVE_FRAMEWORK, normalizeFramework, normalizeScenario, scenarioFromProfiles } from '../src/roleplay.js';
+
+const PAGE_URL = 'https://practice.example.com/app/';
+const hashOf = (link) => link.slice(PAGE_URL.length);
+
+const CUSTOM_SCENARIO = normalizeScenario({
+    id: 'custom:clinic',
+    title: 'Clínica Dental – café y más',
+    industry: 'Dental Clinics',
+    persona: { name: 'Zoë Brandt', role: 'Practice Owner', style: 'Skeptical, Budget-Conscious', temperament: 'Guarded.', budget: '$300/month', opening: 'Make it quick.' },
+    company: { name: 'Smile Co', facts: ['Two locations'] },
+    painPoints: ['No-shows cost about $4,000 a month'],
+    product: { name: 'RemindMe', description: 'Appointment reminders', price: '$199/month' },
+    objections: ['We tried reminders before.', 'Patients ignore texts.', 'Setup sounds painful.'],
+});
+
+const CUSTOM_FRAMEWORK = normalizeFramework({
+    id: 'custom:gap',
+    name: 'GAP',
+    painStep: 'G',
+    closeStep: 'P',
+    steps: [
+        { key: 'G', label: 'Gap', criterion: 'The rep has found the gap.', keywords: ['gap'] },
+        { key: 'P', label: 'Plan', criterion: 'The rep has proposed a plan.', keywords: ['plan'] },
+    ],
+});
+
+test('a built-in scenario and framework travel by name and come back as a playable snapshot', () => {
+    const scenario = scenarioFromProfiles('Analyst, Data-Focused', 'Financial Services (Compliance Automation)');
+    const link = createChallengeLink({ scenario, framework: BUILT_IN_FRAMEWORKS[1], difficulty: 'hard', timer: 'quick' }, PAGE_URL);
+    assert.ok(link.startsWith(`${PAGE_URL}#challenge=`));
+    assert.match(hashOf(link), /^#challenge=[A-Za-z0-9_-]+$/);
+
+    const parsed = parseChallengeLink(hashOf(link));
+    assert.equal(parsed.persona.style, 'Analyst, Data-Focused');
+    assert.equal(parsed.industry, 'Financial Services (Compliance Automation)');
+    assert.equal(parsed.difficulty, 'hard');
+    assert.equal(parsed.timer, 'quick');
+    assert.equal(parsed.framework, BUILT_IN_FRAMEWORKS[1]);
+    assert.equal(typeof parsed.challenge.id, 'string');
+    assert.ok(Number.isSafeInteger(parsed.challenge.seed));
+});
+
+test('committee seats survive the round trip', () => {
+    const scenario = scenarioFromProfiles('Skeptical, Budget-Conscious', 'SEO Consulting (Filtering Low-Value Clients)', [{ seat: 'Finance Approver', persona: 'Friendly, Time-Pressed' }]);
+    const parsed = parseChallengeLink(hashOf(createChallengeLink({ scenario, framework: SOLVE_FRAMEWORK, difficulty: 'normal', timer: 'off' }, PAGE_URL)));
+    assert.deepEqual(parsed.committee.map(({ seat, style }) => ({ seat, style })), scenario.committee.map(({ seat, style }) => ({ seat, style })));
+});
+
+test('custom scenarios and frameworks are embedded whole, including non-ASCII text', () => {
+    const link = createChallengeLink({ scenario: CUSTOM_SCENARIO, framework: CUSTOM_FRAMEWORK, difficulty: 'normal', timer: 'standard' }, PAGE_URL);
+    const parsed = parseChallengeLink(hashOf(link));
+    assert.equal(parsed.title, CUSTOM_SCENARIO.title);
+    assert.equal(parsed.persona.name, 'Zoë Brandt');
+    assert.deepEqual(parsed.framework, CUSTOM_FRAMEWORK);
+});
+
+test('each link gets its own challenge id', () => {
+    const options = { scenario: CUSTOM_SCENARIO, framework: SOLVE_FRAMEWORK, difficulty: 'normal', timer: 'off' };
+    const first = parseChallengeLink(hashOf(createChallengeLink(options, PAGE_URL)));
+    const second = parseChallengeLink(hashOf(createChallengeLink(options, PAGE_URL)));
+    assert.notEqual(first.challenge.id, second.challenge.id);
+});
+
+test('an unknown call timer falls back to the default', () => {
+    const link = createChallengeLink({ scenario: CUSTOM_SCENARIO, framework: SOLVE_FRAMEWORK, difficulty: 'normal', timer: 'marathon' }, PAGE_URL);
+    assert.equal(parseChallengeLink(hashOf(link)).timer, 'off');
+});
+
+test('parseChallengeLink ignores hashes that are not challenges', () => {
+    assert.equal(parseChallengeLink(''), null);
+    assert.equal(parseChallengeLink('#history'), null);
+});
+
+test('parseChallengeLink rejects corrupted links and links from another version', () => {
+    const encode = (data) => `#challenge=${Buffer.from(JSON.stringify(data)).toString('base64url')}`;
+    assert.throws(() => parseChallengeLink('#challenge=not-json'), /incomplete or was made by a different version/);
+    assert.throws(() => parseChallengeLink(encode({ v: 2, id: 'abc', frameworkId: 'solve', scenario: CUSTOM_SCENARIO })), /different version/);
+    assert.throws(() => parseChallengeLink(encode({ v: 1, id: 'abc', frameworkId: 'unknown', scenario: CUSTOM_SCENARIO })), /different version/);
+    assert.throws(() => parseChallengeLink(encode({ v: 1, id: 'abc', frameworkId: 'solve', persona: 'Nobody', industry: 'Nowhere' })), /different version/);
+});
+
+const rep = (text) => ({ role: 'user', parts: [{ text }] });
+const prospect = (text) => ({ role: 'model', parts: [{ text }] });
+const scoresFor = (framework, score) => ({ stepScores: Object.fromEntries(framework.steps.map(step => [step.key, { score, evidence: [], comment: '' }])) });
+const CHALLENGE_MESSAGES = [prospect('Hello.'), rep('Turn one.'), prospect('Okay.'), rep('Turn two.'), prospect('Fine.'), rep('Turn three.'), prospect('Sure.')];
+
+test('buildChallengeResult counts turns to close up to the framework\'s close step', () => {
+    const result = buildChallengeResult({
+        scenario: { challenge: { id: 'c1' }, framework: SOLVE_FRAMEWORK },
+        messages: CHALLENGE_MESSAGES,
+        solveEvidence: { S: { messageIndex: 1, justification: '' }, E: { messageIndex: 3, justification: '' } },
+        feedback: scoresFor(SOLVE_FRAMEWORK, 6),
+    });
+    assert.deepEqual(result, { challengeId: 'c1', score: 6, stepsCompleted: 2, totalSteps: 5, turnsToClose: 2, repTurns: 3 });
+});
+
+test('buildChallengeResult reports no turns to close for frameworks without a close step', () => {
+    const spin = BUILT_IN_FRAMEWORKS.find(framework => framework.id === 'spin');
+    const result = buildChallengeResult({
+        scenario: { challenge: { id: 'c2' }, framework: spin },
+        messages: CHALLENGE_MESSAGES,
+        // Need-payoff is SPIN's last step, but it is not a close.
+        solveEvidence: { S: { messageIndex: 1, justification: '' }, N: { messageIndex: 5, justification: '' } },
+        feedback: scoresFor(spin, 4),
+    });
+    assert.equal(result.turnsToClose, null);
+    assert.equal(result.stepsCompleted, 2);
+    assert.equal(result.totalSteps, 4);
+});
+
+test('buildChallengeResult follows a custom framework\'s close step even when it is not the last step', () => {
+    const framework = normalizeFramework({ ...CUSTOM_FRAMEWORK, closeStep: 'P', steps: [...CUSTOM_FRAMEWORK.steps, { key: 'F', label: 'Follow-up', criterion: 'The rep has followed up.' }] });
+    const result = buildChallengeResult({
+        scenario: { challenge: { id: 'c3' }, framework },
+        messages: CHALLENGE_MESSAGES,
+        solveEvidence: { P: { messageIndex: 5, justification: '' }, F: { messageIndex: 3, justification: '' } },
+        feedback: scoresFor(framework, 5),
+    });
+    assert.equal(result.turnsToClose, 3);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepIdentity } from '../server/identity.js';
+
+// Minimal request/response stand-ins: identify only reads the Cookie header and sets Set-Cookie.
+const request = (cookie) => ({ headers: cookie ? { cookie } : {} });
+const response = () => {
+    const headers = {};
+    return { headers, setHeader: (name, value) => { headers[name] = value; } };
+};
+const cookieFrom = (res) => res.headers['Set-Cookie'].split(';')[0];
+
+test('a new caller is issued a signed, HttpOnly rep cookie', () => {
+    const identify = createRepIdentity({ secret: 'test-secret' });
+    const res = response();
+    const { repId, isNew } = identify(request(), res);
+    assert.match(repId, /^[0-9a-f-]{36}$/);
+    assert.equal(isNew, true);
+    assert.match(res.headers['Set-Cookie'], new RegExp(`^solve_rep=${repId}\\.[A-Za-z0-9_-]+; .*HttpOnly`));
+});
+
+test('a returning caller keeps their id without a new cookie', () => {
+    const identify = createRepIdentity({ secret: 'test-secret' });
+    const first = response();
+    const { repId } = identify(request(), first);
+    const second = response();
+    assert.deepEqual(identify(request(`theme=dark; ${cookieFrom(first)}`), second), { repId, isNew: false });
+    assert.equal(second.headers['Set-Cookie'], undefined);
+});
+
+test('forged or tampered cookies get a fresh id instead of the claimed one', () => {
+    const identify = createRepIdentity({ secret: 'test-secret' });
+    const { repId: victim } = identify(request(), response());
+    const forged = createRepIdentity({ secret: 'other-secret' });
+    const forgedRes = response();
+    forged(request(), forgedRes);
+
+    for (const cookie of [`solve_rep=${victim}`, `solve_rep=${victim}.bogus`, cookieFrom(forgedRes)]) {
+        const res = response();
+        const { repId, isNew } = identify(request(cookie), res);
+        assert.notEqual(repId, victim);
+        assert.equal(isNew, true);
+        assert.ok(res.headers['Set-Cookie']);
+    }
+});
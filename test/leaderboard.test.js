@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLeaderboardStore } from '../server/leaderboard.js';
+
+// Each test gets its own board file in a temporary directory that is removed afterwards.
+const withStore = async (run) => {
+    const dir = await mkdtemp(join(tmpdir(), 'leaderboard-'));
+    try {
+        await run(createLeaderboardStore({ file: join(dir, 'nested', 'leaderboard.json') }), join(dir, 'nested', 'leaderboard.json'));
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+};
+
+const entry = (overrides) => ({
+    challengeId: 'challenge-1',
+    userId: 'rep-1',
+    name: 'Dana',
+    score: 7,
+    stepsCompleted: 4,
+    totalSteps: 5,
+    turnsToClose: 6,
+    repTurns: 8,
+    submittedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+});
+
+test('an empty board lists no entries', async () => {
+    await withStore(async (store) => {
+        assert.deepEqual(await store.listEntries('challenge-1'), []);
+    });
+});
+
+test('entries rank by score, then fewest turns to close, then most steps', async () => {
+    await withStore(async (store) => {
+        await store.submitEntry(entry({ userId: 'never-closed', score: 8, turnsToClose: null }));
+        await store.submitEntry(entry({ userId: 'slow', score: 8, turnsToClose: 9 }));
+        await store.submitEntry(entry({ userId: 'fast', score: 8, turnsToClose: 4 }));
+        await store.submitEntry(entry({ userId: 'top', score: 9.5 }));
+        await store.submitEntry(entry({ userId: 'low', score: 3 }));
+        const board = await store.listEntries('challenge-1');
+        assert.deepEqual(board.map(item => item.userId), ['top', 'fast', 'slow', 'never-closed', 'low']);
+    });
+});
+
+test('each rep keeps only their best attempt, and a worse retry only renames it', async () => {
+    await withStore(async (store) => {
+        await store.submitEntry(entry({ score: 6 }));
+        await store.submitEntry(entry({ score: 8, name: 'Dana B' }));
+        const board = await store.submitEntry(entry({ score: 5, name: 'Dana Brooks' }));
+        assert.equal(board.length, 1);
+        assert.equal(board[0].score, 8);
+        assert.equal(board[0].name, 'Dana Brooks');
+    });
+});
+
+test('boards are kept per challenge', async () => {
+    await withStore(async (store) => {
+        await store.submitEntry(entry({ challengeId: 'challenge-1' }));
+        await store.submitEntry(entry({ challengeId: 'challenge-2', userId: 'rep-2' }));
+        assert.deepEqual((await store.listEntries('challenge-2')).map(item => item.userId), ['rep-2']);
+    });
+});
+
+test('concurrent submissions are all kept and written to a versioned file', async () => {
+    await withStore(async (store, file) => {
+        await Promise.all(['a', 'b', 'c', 'd'].map((userId, index) => store.submitEntry(entry({ userId, score: index }))));
+        const saved = JSON.parse(await readFile(file, 'utf8'));
+        assert.equal(saved.version, 1);
+        assert.deepEqual(saved.entries.map(item => item.userId).sort(), ['a', 'b', 'c', 'd']);
+    });
+});
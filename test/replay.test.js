@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REPLAY_CLI = resolve(dirname(fileURLToPath(import.meta.url)), '../cli/replay.js');
+
+// Runs the replay CLI against the offline mock and resolves to { code, report } from its JSON output.
+const replay = (folder, args = []) => new Promise((resolveRun) => {
+    execFile(process.execPath, [REPLAY_CLI, folder, '--format', 'json', ...args], { timeout: 60000 }, (error, stdout) => {
+        resolveRun({ code: error ? error.code : 0, report: stdout ? JSON.parse(stdout) : null });
+    });
+});
+
+// Writes the given scripts into a temporary folder for one test and removes it afterwards.
+const withScripts = async (scripts, run) => {
+    const dir = await mkdtemp(join(tmpdir(), 'replay-'));
+    try {
+        await Promise.all(Object.entries(scripts).map(([file, script]) => writeFile(join(dir, file), JSON.stringify(script))));
+        await run(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+};
+
+// Every label is wrong: S is expected but the rep never names a cost, and E is detected but not expected.
+const MISLABELLED_SCRIPT = {
+    turns: [
+        { rep: 'Hi there, how are things on your side?', expect: ['S'] },
+        { rep: 'Can we book a call on your calendar next week?', expect: [] },
+    ],
+};
+
+test('the bundled example scripts replay cleanly and exit 0', async () => {
+    const { code, report } = await replay(resolve(dirname(REPLAY_CLI), 'examples'));
+    assert.equal(code, 0);
+    assert.deepEqual(report.thresholds.failures, []);
+});
+
+test('the replay exits non-zero when a step falls below the recall or precision threshold', async () => {
+    await withScripts({ 'mislabelled.json': MISLABELLED_SCRIPT }, async (folder) => {
+        const { code, report } = await replay(folder);
+        assert.equal(code, 1);
+        assert.deepEqual(
+            report.thresholds.failures.map(({ key, metric, value }) => ({ key, metric, value })),
+            [{ key: 'S', metric: 'recall', value: 0 }, { key: 'E', metric: 'precision', value: 0 }]
+        );
+    });
+});
+
+test('zero thresholds turn the recall and precision checks off', async () => {
+    await withScripts({ 'mislabelled.json': MISLABELLED_SCRIPT }, async (folder) => {
+        const { code } = await replay(folder, ['--min-recall', '0', '--min-precision', '0']);
+        assert.equal(code, 0);
+    });
+});
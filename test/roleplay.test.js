@@ -0,0 +1,556 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BUILT_IN_FRAMEWORKS, BUILT_IN_SCENARIOS, INITIAL_PATIENCE, SOLVE_FRAMEWORK, STEP_PASS_SCORE,
+    buildScenarioExport, computeCallMetrics, detectCoachNudges, emptyEvidenceFor, enforceStepOrder,
+    extractPartialResponseText, frameworkFor, generateOpeningMessages, gradeCall, inspectProspectReply,
+    mergeSolveEvidence, normalizeFramework, normalizeScenario, parseRetryAfter, parseScenarioImport, playRepTurn,
+    rewindBranchState, scenarioFromProfiles, validateAgainstSchema
+} from '../src/roleplay.js';
+
+const SPIN_FRAMEWORK = BUILT_IN_FRAMEWORKS.find(framework => framework.id === 'spin');
+
+test('enforceStepOrder keeps steps completed in framework order', () => {
+    assert.deepEqual(
+        enforceStepOrder({ S: true, O: true, L: false, V: false, E: false }, SOLVE_FRAMEWORK),
+        { S: true, O: true, L: false, V: false, E: false }
+    );
+});
+
+test('enforceStepOrder drops every step after the first gap', () => {
+    assert.deepEqual(
+        enforceStepOrder({ S: true, O: false, L: true, V: true, E: true }, SOLVE_FRAMEWORK),
+        { S: true, O: false, L: false, V: false, E: false }
+    );
+});
+
+test('enforceStepOrder treats missing steps as incomplete and follows the given framework', () => {
+    assert.deepEqual(enforceStepOrder({ P: true, I: true }, SPIN_FRAMEWORK), { S: false, P: false, I: false, N: false });
+    assert.deepEqual(enforceStepOrder({ S: true, P: true, N: true }, SPIN_FRAMEWORK), { S: true, P: true, I: false, N: false });
+});
+
+const REPLY_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        response_text: { type: 'STRING' },
+        step_status: { type: 'OBJECT', properties: { S: { type: 'BOOLEAN' }, O: { type: 'BOOLEAN' } } },
+        moments: { type: 'ARRAY', items: { type: 'OBJECT', properties: { message_index: { type: 'INTEGER' }, score: { type: 'NUMBER' } } } },
+    },
+};
+
+test('validateAgainstSchema accepts a reply that matches its schema', () => {
+    const reply = { response_text: 'Fine.', step_status: { S: true, O: false }, moments: [{ message_index: 2, score: 7.5 }], extra: 'ignored' };
+    assert.deepEqual(validateAgainstSchema(reply, REPLY_SCHEMA), []);
+});
+
+test('validateAgainstSchema reports missing properties and wrong types with their paths', () => {
+    const reply = { response_text: 42, step_status: { S: 'yes' }, moments: [{ message_index: 1.5, score: 3 }, 'late'] };
+    assert.deepEqual(validateAgainstSchema(reply, REPLY_SCHEMA), [
+        'reply.response_text should be string but was number.',
+        'reply.step_status.S should be boolean but was string.',
+        'reply.step_status.O is missing.',
+        'reply.moments[0].message_index should be integer but was number.',
+        'reply.moments[1] should be object but was string.',
+    ]);
+});
+
+test('validateAgainstSchema names null, arrays and non-finite numbers in its problems', () => {
+    assert.deepEqual(validateAgainstSchema(null, REPLY_SCHEMA), ['reply should be object but was null.']);
+    assert.deepEqual(validateAgainstSchema([], REPLY_SCHEMA), ['reply should be object but was array.']);
+    assert.deepEqual(validateAgainstSchema(NaN, { type: 'NUMBER' }, 'score'), ['score should be number but was number.']);
+});
+
+const say = (role, text, secondsIn) => ({
+    role,
+    parts: [{ text }],
+    ...(secondsIn === undefined ? {} : { at: new Date(Date.UTC(2026, 0, 1, 9, 0, secondsIn)).toISOString() }),
+});
+
+test('computeCallMetrics measures talk ratio, questions, fillers and timing from the transcript', () => {
+    const metrics = computeCallMetrics([
+        say('coach', 'Welcome to the challenge, this guide text never counts.'),
+        say('model', 'Hi, who is this?', 0),
+        say('user', 'Hi Alex, I just wanted to um introduce myself.', 10),
+        say('model', 'Okay, go on then.', 20),
+        say('user', 'What is the biggest problem with onboarding right now?', 45),
+        say('model', 'Honestly it takes us three weeks to onboard a client.', 70),
+    ], SOLVE_FRAMEWORK);
+
+    assert.equal(metrics.repTurns, 2);
+    assert.equal(metrics.wordsPerTurn, 9);
+    assert.equal(metrics.talkRatio, 18 / (18 + 18));
+    assert.equal(metrics.questionRate, 0.5);
+    assert.deepEqual(metrics.fillers, [{ phrase: 'just', count: 1 }, { phrase: 'um', count: 1 }]);
+    assert.equal(metrics.fillerCount, 2);
+    assert.equal(metrics.fillersPer100Words, (2 / 18) * 100);
+    assert.deepEqual(metrics.firstPainQuestion, { turn: 2, seconds: 45 });
+    assert.equal(metrics.durationSeconds, 70);
+});
+
+test('computeCallMetrics counts the pain step keywords of the active framework as pain questions', () => {
+    const bant = BUILT_IN_FRAMEWORKS.find(framework => framework.id === 'bant');
+    const metrics = computeCallMetrics([say('model', 'Hello.'), say('user', 'Do you need this solved by Q3?')], bant);
+    assert.deepEqual(metrics.firstPainQuestion, { turn: 1, seconds: null });
+});
+
+test('computeCallMetrics leaves times null for unstamped calls and copes with no rep turns', () => {
+    const unstamped = computeCallMetrics([say('model', 'Hello.'), say('user', 'Thanks for the time.')], SOLVE_FRAMEWORK);
+    assert.equal(unstamped.durationSeconds, null);
+    assert.equal(unstamped.firstPainQuestion, null);
+
+    const silent = computeCallMetrics([say('model', 'Hello?', 0)], SOLVE_FRAMEWORK);
+    assert.equal(silent.repTurns, 0);
+    assert.equal(silent.wordsPerTurn, 0);
+    assert.equal(silent.questionRate, null);
+    assert.equal(silent.durationSeconds, null);
+});
+
+const callOn = (framework, repTexts) => {
+    const scenario = { ...scenarioFromProfiles('Analyst, Data-Focused', 'Financial Services (Compliance Automation)'), framework };
+    const messages = [...generateOpeningMessages(scenario), ...repTexts.flatMap(text => [say('user', text), say('model', 'Go on.')])];
+    return { scenario, messages };
+};
+
+test('gradeCall with the offline mock passes the steps the rep covered and fails the rest', async () => {
+    const { scenario, messages } = callOn(SOLVE_FRAMEWORK, ['So those manual checks are costing you $4,000 a month?']);
+    const feedback = await gradeCall({ provider: 'mock', model: 'scripted' }, messages, scenario);
+
+    assert.deepEqual(Object.keys(feedback.stepScores), ['S', 'O', 'L', 'V', 'E']);
+    assert.ok(feedback.stepScores.S.score >= STEP_PASS_SCORE);
+    assert.deepEqual(feedback.stepScores.S.evidence, ['So those manual checks are costing you $4,000 a month?']);
+    ['O', 'L', 'V', 'E'].forEach(key => assert.ok(feedback.stepScores[key].score < STEP_PASS_SCORE, key));
+});
+
+test('gradeCall scores the steps of the scenario\'s own framework', async () => {
+    const spin = BUILT_IN_FRAMEWORKS.find(framework => framework.id === 'spin');
+    const { scenario, messages } = callOn(spin, ['How do you handle compliance checks today?']);
+    const feedback = await gradeCall({ provider: 'mock', model: 'scripted' }, messages, scenario);
+    assert.deepEqual(Object.keys(feedback.stepScores), ['S', 'P', 'I', 'N']);
+});
+
+test('gradeCall repairs an invalid grader reply and keeps only real rep quotes', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { scenario, messages } = callOn(SOLVE_FRAMEWORK, ['So those manual checks are costing you $4,000 a month?']);
+    const stepScore = (score, evidence = []) => ({ score, evidence, comment: 'ok' });
+    const validReply = {
+        step_scores: {
+            S: stepScore(14, ['costing you $4,000 a month', 'a quote the rep never said']),
+            O: stepScore(2), L: stepScore(1), V: stepScore(1), E: stepScore(0),
+        },
+        missed_opportunities: ['Never asked for a next step.'],
+        strongest_turn: { quote: 'So those manual checks are costing you $4,000 a month?', reason: 'Quantified the pain.' },
+        weakest_turn: { quote: 'Something invented', reason: 'n/a' },
+        overall_verdict: 'Good start.',
+    };
+    const replies = [{ step_scores: { S: stepScore(5) } }, validReply];
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        return new Response(JSON.stringify({ text: JSON.stringify(replies[requests.length - 1]) }), { status: 200 });
+    });
+
+    const feedback = await gradeCall({ provider: 'gemini', model: 'test-model' }, messages, scenario);
+
+    assert.equal(requests.length, 2);
+    assert.ok(requests.every(request => request.url.endsWith('/api/feedback')));
+    assert.equal(requests[0].body.repairTurns, undefined);
+    assert.match(requests[1].body.repairTurns[1].text, /reply\.step_scores\.O is missing/);
+    assert.equal(feedback.stepScores.S.score, 10);
+    assert.deepEqual(feedback.stepScores.S.evidence, ['costing you $4,000 a month']);
+    assert.equal(feedback.stepScores.E.score, 1);
+    assert.equal(feedback.strongestTurn.reason, 'Quantified the pain.');
+    assert.equal(feedback.weakestTurn, null);
+});
+
+const prospectReply = (responseText) => JSON.stringify({
+    response_text: responseText,
+    step_status: Object.fromEntries(SOLVE_FRAMEWORK.steps.map(step => [step.key, false])),
+    step_justification: Object.fromEntries(SOLVE_FRAMEWORK.steps.map(step => [step.key, ''])),
+});
+const REPLY_SCENARIO = { ...scenarioFromProfiles('Analyst, Data-Focused', 'Financial Services (Compliance Automation)'), framework: SOLVE_FRAMEWORK };
+
+test('inspectProspectReply accepts in-character lines that mention models, simulations or exercises', () => {
+    [
+        'We already use a language model for triage, so what does yours add?',
+        'Honestly, the exercise of migrating took months.',
+        'The simulation our risk team runs every quarter says otherwise.',
+        'My instructions from the board are to cut spend, not add to it.',
+        "I'm an assistant director, so I'd need sign-off anyway.",
+    ].forEach(line => assert.deepEqual(inspectProspectReply(prospectReply(line), REPLY_SCENARIO).problems, [], line));
+});
+
+test('inspectProspectReply flags AI disclaimers and leaked schema keys', () => {
+    [
+        'As an AI, I cannot make purchasing decisions.',
+        "I'm just a language model, but that sounds useful.",
+        'Per my system prompt I should push back here.',
+        'Sure. step_status: S is true now.',
+    ].forEach(line => {
+        const { problems } = inspectProspectReply(prospectReply(line), REPLY_SCENARIO);
+        assert.equal(problems.length, 1, line);
+        assert.match(problems[0], /breaks character/);
+    });
+});
+
+const NO_STEPS_DONE = Object.fromEntries(SOLVE_FRAMEWORK.steps.map(step => [step.key, false]));
+
+test('detectCoachNudges flags a close asked for before the pain step, worded from that step', () => {
+    const [nudge] = detectCoachNudges([], 'Can we book a call for Thursday?', NO_STEPS_DONE, SOLVE_FRAMEWORK);
+    assert.equal(nudge.focusStep, 'S');
+    assert.match(nudge.text, /before "Spot the Pain"/);
+
+    assert.deepEqual(detectCoachNudges([], 'Can we book a call for Thursday?', { ...NO_STEPS_DONE, S: true }, SOLVE_FRAMEWORK), []);
+    const spin = BUILT_IN_FRAMEWORKS.find(framework => framework.id === 'spin');
+    assert.deepEqual(detectCoachNudges([], 'Can we book a call for Thursday?', {}, spin), []);
+});
+
+test('detectCoachNudges words the premature-close nudge from a custom framework\'s pain step', () => {
+    const framework = normalizeFramework({
+        name: 'Need then ask',
+        painStep: 'N',
+        closeStep: 'A',
+        steps: [
+            { key: 'N', label: 'Need', long: 'Confirm what the current process costs them.', criterion: 'Need confirmed.', keywords: ['cost'] },
+            { key: 'A', label: 'Ask', criterion: 'Asked for a meeting.', keywords: ['meeting'] },
+        ],
+    });
+    const [nudge] = detectCoachNudges([], 'Shall we set up a meeting?', { N: false, A: false }, framework);
+    assert.equal(nudge.focusStep, 'N');
+    assert.match(nudge.text, /before "Need"/);
+    assert.match(nudge.text, /Confirm what the current process costs them\.$/);
+    assert.doesNotMatch(nudge.text, /quantified/);
+});
+
+test('detectCoachNudges flags an objection the rep moved past and stays quiet once it is addressed', () => {
+    const history = [say('model', 'Sounds interesting. But our budget is frozen until next year.')];
+    const [nudge] = detectCoachNudges(history, 'We also integrate with Salesforce.', NO_STEPS_DONE, SOLVE_FRAMEWORK);
+    assert.equal(nudge.focusStep, '');
+    assert.match(nudge.text, /"But our budget is frozen until next year\."/);
+
+    assert.deepEqual(detectCoachNudges(history, 'What would the budget need to look like next year?', NO_STEPS_DONE, SOLVE_FRAMEWORK), []);
+    assert.deepEqual(detectCoachNudges(history, 'That makes sense. When does it reopen?', NO_STEPS_DONE, SOLVE_FRAMEWORK), []);
+});
+
+test('parseRetryAfter reads delay-seconds and HTTP dates, capped at a minute', (t) => {
+    const now = Date.parse('2026-03-02T10:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+
+    assert.equal(parseRetryAfter('5'), 5000);
+    assert.equal(parseRetryAfter('Mon, 02 Mar 2026 10:00:12 GMT'), 12000);
+    assert.equal(parseRetryAfter('Mon, 02 Mar 2026 09:59:00 GMT'), 0);
+    assert.equal(parseRetryAfter('3600'), 60000);
+    assert.equal(parseRetryAfter('Tue, 01 Jan 2030 00:00:00 GMT'), 60000);
+    [null, '', 'soon', '-5'].forEach(value => assert.equal(parseRetryAfter(value), null, String(value)));
+});
+
+const MOCK_LLM = { provider: 'mock', model: 'scripted' };
+
+// Plays repTexts one turn at a time against the offline mock and returns the final call state.
+const playMockCall = async (scenario, repTexts) => {
+    let call = {
+        messages: generateOpeningMessages(scenario),
+        solveEvidence: emptyEvidenceFor(frameworkFor(scenario)),
+        stakeholderEvidence: null,
+        patience: INITIAL_PATIENCE,
+    };
+    for (const repText of repTexts) {
+        call = await playRepTurn(MOCK_LLM, { scenario, ...call, repText });
+    }
+    return call;
+};
+
+test('the mock prospect credits a SOLVE step when the rep message meets it, citing that message', async () => {
+    const scenario = { ...REPLY_SCENARIO, difficulty: 'normal' };
+    const { messages, solveEvidence } = await playMockCall(scenario, [
+        'Tell me about your week.',
+        'So those manual checks are costing you $4,000 a month?',
+    ]);
+
+    assert.equal(solveEvidence.S.messageIndex, messages.length - 2);
+    assert.equal(messages[solveEvidence.S.messageIndex].parts[0].text, 'So those manual checks are costing you $4,000 a month?');
+    assert.match(solveEvidence.S.justification, /cost or quantity/);
+    ['O', 'L', 'V', 'E'].forEach(key => assert.equal(solveEvidence[key], null, key));
+});
+
+test('the mock prospect only accepts a vague attempt at a step on Easy', async () => {
+    const vague = 'What is the biggest problem with your reporting?';
+    const normal = await playMockCall({ ...REPLY_SCENARIO, difficulty: 'normal' }, [vague]);
+    const easy = await playMockCall({ ...REPLY_SCENARIO, difficulty: 'easy' }, [vague]);
+    assert.equal(normal.solveEvidence.S, null);
+    assert.ok(easy.solveEvidence.S);
+});
+
+test('the mock prospect matches other frameworks by their step keywords, and hard mode keeps their order', async () => {
+    const spin = BUILT_IN_FRAMEWORKS.find(framework => framework.id === 'spin');
+    const scenario = { ...REPLY_SCENARIO, framework: spin };
+    const outOfOrder = 'What is the biggest problem you face?';
+
+    const normal = await playMockCall({ ...scenario, difficulty: 'normal' }, [outOfOrder]);
+    assert.ok(normal.solveEvidence.P);
+    assert.equal(normal.solveEvidence.S, null);
+
+    const hard = await playMockCall({ ...scenario, difficulty: 'hard' }, [outOfOrder]);
+    assert.equal(hard.solveEvidence.P, null);
+    const inOrder = await playMockCall({ ...scenario, difficulty: 'hard' }, [outOfOrder, 'How do you run reviews today?']);
+    assert.equal(inOrder.solveEvidence.S.messageIndex, inOrder.solveEvidence.P.messageIndex);
+});
+
+// Plays one rep turn against a stubbed API server and returns the system instruction it was sent.
+const prospectPromptFor = async (t, scenario) => {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        requests.push(JSON.parse(options.body));
+        return new Response(JSON.stringify({ text: prospectReply('Go on.') }), { status: 200 });
+    });
+    await playRepTurn({ provider: 'gemini', model: 'test-model' }, {
+        scenario, messages: generateOpeningMessages(scenario), solveEvidence: emptyEvidenceFor(frameworkFor(scenario)),
+        patience: INITIAL_PATIENCE, repText: 'Hi Morgan, thanks for taking the call.',
+    });
+    return requests[0];
+};
+
+test('the prospect prompt carries the persona, industry brief, framework criteria and response schema', async (t) => {
+    const request = await prospectPromptFor(t, { ...REPLY_SCENARIO, difficulty: 'hard' });
+    const prompt = request.systemInstruction;
+
+    ['Dr. Morgan Lee', 'Chief Compliance Officer', 'Meridian Wealth Partners', 'Financial Services (Compliance Automation)',
+        'ClearAudit', 'Listed price: $4,000/month.', 'A missed disclosure last year led to a $40,000 fine.',
+        'Suspects the rep\'s case studies are cherry-picked.', 'practicing the SOLVE framework']
+        .forEach(text => assert.ok(prompt.includes(text), text));
+    SOLVE_FRAMEWORK.steps.forEach(step => {
+        assert.ok(prompt.includes(`"${step.key}" (${step.label}): True once this is met: ${step.criterion}`), step.key);
+    });
+    assert.ok(prompt.includes('only once every earlier step is complete'));
+    assert.deepEqual(Object.keys(request.responseSchema.properties.step_status.properties), ['S', 'O', 'L', 'V', 'E']);
+    assert.ok(prompt.endsWith(JSON.stringify(request.responseSchema, null, 2)));
+});
+
+test('the prospect prompt fills gaps in a sparse custom scenario with neutral defaults', async (t) => {
+    const scenario = {
+        ...REPLY_SCENARIO,
+        persona: { name: 'Sam', style: 'Curious' },
+        company: { name: '', facts: [] },
+        product: { name: '', description: '', price: '' },
+        industry: '',
+        painPoints: [],
+        objections: [],
+    };
+    const { systemInstruction } = await prospectPromptFor(t, scenario);
+
+    ['- Role: Decision-maker', '- Company: Not specified', '- Budget: Limited and carefully guarded.', 'No additional company facts.',
+        'A product or service', 'Invent realistic pain points', 'Raise realistic concerns about price, timing and risk.']
+        .forEach(text => assert.ok(systemInstruction.includes(text), text));
+    assert.ok(!systemInstruction.includes('Industry:'));
+});
+
+test('normalizeScenario trims fields, drops junk and keeps only usable committee members', () => {
+    const scenario = normalizeScenario({
+        id: 'builtin:someone',
+        title: '  ',
+        persona: { name: ' Priya ', opening: ' Hi, who is this? ', budget: 42 },
+        company: { name: 'Acme', facts: ['  Ships parts. ', '', 7] },
+        painPoints: 'not a list',
+        committee: [
+            { seat: 'finance', name: 'Lee', opening: 'Numbers first.', objections: ['Too expensive', null] },
+            { name: 'No Opening' },
+            { name: 'Second', opening: 'Hello.' },
+            { name: 'Third', opening: 'Hello again.' },
+        ],
+    });
+
+    assert.match(scenario.id, /^custom:/);
+    assert.equal(scenario.title, 'Untitled Scenario');
+    assert.deepEqual(scenario.persona, {
+        name: 'Priya', role: '', style: '', temperament: '', budget: '', opening: 'Hi, who is this?', agenda: '',
+    });
+    assert.deepEqual(scenario.company, { name: 'Acme', facts: ['Ships parts.'] });
+    assert.deepEqual(scenario.painPoints, []);
+    assert.deepEqual(scenario.committee.map(member => member.name), ['Lee', 'Second']);
+    assert.equal(scenario.committee[0].seat, 'finance');
+    assert.deepEqual(scenario.committee[0].objections, ['Too expensive']);
+
+    assert.equal(normalizeScenario({ persona: { name: 'No opening line' } }), null);
+    assert.equal(normalizeScenario('scenario'), null);
+});
+
+test('an exported scenario library imports back as the same scenarios, with built-ins as custom copies', () => {
+    const custom = normalizeScenario({ id: 'custom:mine', title: 'Mine', persona: { name: 'Priya', opening: 'Hi.' }, objections: ['Busy.'] });
+    const builtIn = BUILT_IN_SCENARIOS[0];
+    const exported = JSON.stringify(buildScenarioExport([custom, builtIn]));
+
+    const [importedCustom, importedBuiltIn] = parseScenarioImport(exported);
+    assert.deepEqual(importedCustom, custom);
+    assert.match(importedBuiltIn.id, /^custom:/);
+    assert.notEqual(importedBuiltIn.id, builtIn.id);
+    assert.equal(importedBuiltIn.builtIn, undefined);
+    assert.deepEqual(importedBuiltIn.persona, { ...builtIn.persona, agenda: '' });
+    assert.deepEqual(importedBuiltIn.painPoints, builtIn.painPoints);
+});
+
+test('parseScenarioImport accepts a single scenario or a bare array and rejects files with none usable', () => {
+    const raw = { title: 'Solo', persona: { name: 'Priya', opening: 'Hi.' } };
+    assert.equal(parseScenarioImport(JSON.stringify(raw))[0].title, 'Solo');
+    assert.equal(parseScenarioImport(JSON.stringify([raw, { title: 'Broken' }])).length, 1);
+    assert.throws(() => parseScenarioImport(JSON.stringify({ scenarios: [{ title: 'Broken' }] })), /No valid scenarios found/);
+    assert.throws(() => parseScenarioImport('{ not json'), SyntaxError);
+});
+
+test('mergeSolveEvidence records the message that first completed each step and never un-completes one', () => {
+    const empty = emptyEvidenceFor(SOLVE_FRAMEWORK);
+    const first = mergeSolveEvidence(empty, { S: true, O: false }, { S: 'Quantified the pain.' }, 3, SOLVE_FRAMEWORK);
+    assert.deepEqual(first.S, { messageIndex: 3, justification: 'Quantified the pain.' });
+    ['O', 'L', 'V', 'E'].forEach(key => assert.equal(first[key], null, key));
+
+    const second = mergeSolveEvidence(first, { S: false, O: true, L: true }, { S: 'Again.', O: '' }, 5, SOLVE_FRAMEWORK);
+    assert.deepEqual(second.S, { messageIndex: 3, justification: 'Quantified the pain.' });
+    assert.deepEqual(second.O, { messageIndex: 5, justification: 'Marked complete by the prospect model on this turn.' });
+    assert.equal(second.L.messageIndex, 5);
+    assert.deepEqual(Object.keys(second), ['S', 'O', 'L', 'V', 'E']);
+});
+
+test('extractPartialResponseText reads the prospect\'s words out of a reply that is still streaming', () => {
+    assert.equal(extractPartialResponseText(''), '');
+    assert.equal(extractPartialResponseText('{"respon'), '');
+    assert.equal(extractPartialResponseText('{ "response_text" :  "We tried some'), 'We tried some');
+    assert.equal(extractPartialResponseText('{"response_text": "Done.", "step_status": {"S": tr'), 'Done.');
+    assert.equal(extractPartialResponseText('{"response_text": "Line one\\nSaid \\"no\\" to Jos\\u00e9'), 'Line one\nSaid "no" to José');
+});
+
+test('extractPartialResponseText holds back an escape sequence cut off mid-stream', () => {
+    assert.equal(extractPartialResponseText('{"response_text": "Wait\\'), 'Wait');
+    assert.equal(extractPartialResponseText('{"response_text": "Caf\\u00'), 'Caf');
+    assert.equal(extractPartialResponseText('{"response_text": "Caf\\u00e9'), 'Café');
+});
+
+const frameworkWith = (changes) => normalizeFramework({
+    name: 'Gap Selling',
+    steps: [
+        { key: 'g', label: 'Gap', criterion: 'Found the gap.' },
+        { key: 'F', label: 'Future', criterion: 'Described the future state.' },
+        { key: 'A', label: 'Ask', criterion: 'Asked for a meeting.' },
+    ],
+    ...changes,
+});
+
+test('normalizeFramework keeps a valid pain step and a distinct close step', () => {
+    const framework = frameworkWith({ painStep: 'F', closeStep: 'A' });
+    assert.equal(framework.painStep, 'F');
+    assert.equal(framework.closeStep, 'A');
+    assert.deepEqual(framework.steps.map(step => step.key), ['G', 'F', 'A']);
+    assert.equal(framework.steps[0].long, 'Found the gap.');
+    assert.match(framework.id, /^custom:/);
+});
+
+test('normalizeFramework falls back to the first step for a bad pain step and drops a bad close step', () => {
+    assert.equal(frameworkWith({ painStep: 'Z' }).painStep, 'G');
+    assert.equal(frameworkWith({ painStep: 42 }).painStep, 'G');
+    assert.equal(frameworkWith({ closeStep: 'Z' }).closeStep, null);
+    assert.equal(frameworkWith({}).closeStep, null);
+    // A close step that is also the pain step would make every close look premature.
+    assert.equal(frameworkWith({ painStep: 'F', closeStep: 'F' }).closeStep, null);
+    assert.equal(frameworkWith({ closeStep: 'G' }).closeStep, null);
+});
+
+test('normalizeFramework rejects frameworks without a name or a usable step', () => {
+    assert.equal(frameworkWith({ name: '  ' }), null);
+    assert.equal(frameworkWith({ steps: [{ key: '!!', label: 'Bad key', criterion: 'x' }, { key: 'B', label: 'No criterion' }] }), null);
+    assert.equal(normalizeFramework(null), null);
+});
+
+// Plays repTexts against the mock, recording the status timeline the app keeps alongside the call.
+const playRecordedCall = async (scenario, repTexts) => {
+    let call = {
+        messages: generateOpeningMessages(scenario),
+        solveEvidence: emptyEvidenceFor(frameworkFor(scenario)),
+        patience: INITIAL_PATIENCE,
+    };
+    const statusTimeline = [];
+    for (const repText of repTexts) {
+        call = await playRepTurn(MOCK_LLM, { scenario, ...call, repText });
+        const messageIndex = call.messages.map(msg => msg.role).lastIndexOf('user');
+        statusTimeline.push({ messageIndex, status: {}, patience: call.patience });
+    }
+    return { ...call, statusTimeline };
+};
+
+test('rewindBranchState rolls evidence, hints and patience back to just before the edited message', async () => {
+    const call = await playRecordedCall({ ...REPLY_SCENARIO, difficulty: 'normal' }, [
+        'So those manual checks are costing you $4,000 a month?',
+        'Just checking in again, any thoughts at all?',
+        'We guarantee it, with a full refund.',
+    ]);
+    const [firstRep, secondRep, thirdRep] = call.statusTimeline.map(entry => entry.messageIndex);
+    assert.ok(call.solveEvidence.L);
+    assert.ok(call.statusTimeline[1].patience.value < call.statusTimeline[0].patience.value);
+    const coachHints = [
+        { id: 'ask', messageIndex: null },
+        { id: 'first', messageIndex: firstRep },
+        { id: 'third', messageIndex: thirdRep },
+    ];
+
+    const rewound = rewindBranchState({ ...call, stakeholderEvidence: null, coachHints }, secondRep, SOLVE_FRAMEWORK);
+
+    assert.deepEqual(rewound.messages, call.messages.slice(0, secondRep));
+    assert.deepEqual(rewound.solveEvidence.S, call.solveEvidence.S);
+    assert.equal(rewound.solveEvidence.L, null);
+    assert.deepEqual(rewound.statusTimeline, call.statusTimeline.slice(0, 1));
+    assert.deepEqual(rewound.patience, call.statusTimeline[0].patience);
+    assert.deepEqual(rewound.coachHints.map(hint => hint.id), ['ask', 'first']);
+    assert.equal(rewound.stakeholderEvidence, null);
+    assert.equal(rewound.feedback, null);
+    assert.equal(rewound.isFinished, false);
+});
+
+test('rewindBranchState restores full patience for calls saved without per-turn patience', () => {
+    const evidence = { ...emptyEvidenceFor(SOLVE_FRAMEWORK), S: { messageIndex: 1, justification: 'Pain.' } };
+    const rewound = rewindBranchState({
+        messages: [say('model', 'Hello.'), say('user', 'Costing you $4,000?'), say('model', 'Yes.')],
+        solveEvidence: evidence,
+        stakeholderEvidence: { lead: evidence, cfo: emptyEvidenceFor(SOLVE_FRAMEWORK) },
+        statusTimeline: [{ messageIndex: 1, status: {} }],
+        coachHints: [],
+    }, 1, SOLVE_FRAMEWORK);
+
+    assert.deepEqual(rewound.patience, INITIAL_PATIENCE);
+    assert.equal(rewound.solveEvidence.S, null);
+    assert.equal(rewound.stakeholderEvidence.lead.S, null);
+    assert.deepEqual(Object.keys(rewound.stakeholderEvidence), ['lead', 'cfo']);
+});
+
+const COMMITTEE_SCENARIO = {
+    ...scenarioFromProfiles('Analyst, Data-Focused', 'Financial Services (Compliance Automation)', [
+        { seat: 'Finance Approver', persona: 'Friendly, Time-Pressed' },
+    ]),
+    framework: SOLVE_FRAMEWORK,
+    difficulty: 'normal',
+};
+
+test('committee calls credit each step per stakeholder and only for the call once everyone has it', async () => {
+    const afterLead = await playMockCall(COMMITTEE_SCENARIO, ['Morgan, are those manual checks costing you $4,000 a month?']);
+    const leadTurn = afterLead.messages.length - 2;
+    assert.equal(afterLead.stakeholderEvidence.p1.S.messageIndex, leadTurn);
+    assert.equal(afterLead.stakeholderEvidence.p2.S, null);
+    assert.equal(afterLead.solveEvidence.S, null);
+
+    const afterBoth = await playMockCall(COMMITTEE_SCENARIO, [
+        'Morgan, are those manual checks costing you $4,000 a month?',
+        'Sam, are the approval delays costing you $2,000 a month too?',
+    ]);
+    const financeTurn = afterBoth.messages.length - 2;
+    assert.equal(afterBoth.stakeholderEvidence.p1.S.messageIndex, leadTurn);
+    assert.equal(afterBoth.stakeholderEvidence.p2.S.messageIndex, financeTurn);
+    assert.equal(afterBoth.solveEvidence.S.messageIndex, financeTurn);
+    assert.match(afterBoth.solveEvidence.S.justification, /^Sam Rivera: /);
+    assert.equal(afterBoth.messages[financeTurn + 1].speaker, 'p2');
+});
+
+test('a committee step aimed at the whole room is credited for every stakeholder at once', async () => {
+    const { messages, solveEvidence, stakeholderEvidence } = await playMockCall(COMMITTEE_SCENARIO, [
+        'For all of you: are these manual checks costing you $4,000 a month?',
+    ]);
+    const repTurn = messages.length - 2;
+    assert.deepEqual(Object.keys(stakeholderEvidence), ['p1', 'p2']);
+    Object.values(stakeholderEvidence).forEach(evidence => assert.equal(evidence.S.messageIndex, repTurn));
+    assert.equal(solveEvidence.S.messageIndex, repTurn);
+    assert.equal(solveEvidence.O, null);
+});
@@ -0,0 +1,22 @@
+import { defineConfig, loadEnv } from 'vite';
+import react from '@vitejs/plugin-react';
+import { createApiHandler } from './server/api.js';
+
+// Mounts the /api proxy on the dev and preview servers so `npm run dev` works without a second process.
+const apiServer = (env) => ({
+    name: 'solve-api-server',
+    configureServer(server) {
+        server.middlewares.use(createApiHandler({ env }));
+    },
+    configurePreviewServer(server) {
+        server.middlewares.use(createApiHandler({ env }));
+    }
+});
+
+export default defineConfig(({ mode }) => {
+    // Load every variable (not just VITE_*) for the server side; only VITE_* ever reaches the bundle.
+    const env = { ...process.env, ...loadEnv(mode, process.cwd(), '') };
+    return {
+        plugins: [react(), apiServer(env)]
+    };
+});